@@ -1,9 +1,14 @@
 require('dotenv').config();
 
-const { Client, GatewayIntentBits, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle, PermissionFlagsBits, ChannelType, SlashCommandBuilder, REST, Routes } = require('discord.js');
+const { Client, GatewayIntentBits, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle, StringSelectMenuBuilder, PermissionFlagsBits, ChannelType, SlashCommandBuilder, REST, Routes } = require('discord.js');
 const axios = require('axios');
 const cheerio = require('cheerio');
 const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const dns = require('dns');
+const net = require('net');
+const crypto = require('crypto');
 const packageJson = require('./package.json');
 
 // Bot info
@@ -19,39 +24,299 @@ const client = new Client({
   ]
 });
 
-// Store per-server configurations and auto-scan intervals
+// Store per-server configurations
 const serverConfigs = new Map();
-const autoScanIntervals = new Map(); // Track active auto-scans per guild
 const CONFIG_FILE = 'server_configs.json';
 const PROCESSED_FILE = 'processed_tournaments.json';
-const FORUM_URL = 'https://osu.ppy.sh/community/forums/55';
+const REMINDERS_FILE = 'scheduled_reminders.json';
+const DRAFTS_FILE = 'pending_drafts.json';
+const LINKED_USERS_FILE = 'linked_users.json';
+const AUDIT_FILE = 'audit_log.json';
+const QUEUE_FILE = 'publish_queue.json';
+const DEAD_LETTER_FILE = 'webhook_dead_letters.json';
+const ARCHIVE_PAGE_SIZE = 5;
+const FIRST_RUN_DRAFTS = 20; // Recent topics a newly set up server gets drafts for
 
-// Global processed tournaments (shared across all servers)
-let processedTournaments = new Set();
+// Storage: each file above lives in DATA_DIR as { schemaVersion, savedAt, data } and is written atomically.
+// Files from before DATA_DIR existed (next to bot.js) are imported the first time they are read.
+const DATA_DIR = process.env.DATA_DIR || 'data';
+const SCHEMA_VERSION = 2;
+
+// STORE_MIGRATIONS[n][file] upgrades that file's data from schema n - 1 to n (0 = old plain JSON file)
+const STORE_MIGRATIONS = {
+  1: {
+    // Rank roles became configurable buckets
+    [CONFIG_FILE]: configs => {
+      Object.values(configs).forEach(config => {
+        if (!config.buckets) config.buckets = getBucketsFromRoles(config.roles || {});
+      });
+      return configs;
+    },
+    // One global list of links became per-server entries; every configured server has seen them
+    [PROCESSED_FILE]: processed => {
+      if (!Array.isArray(processed)) return processed;
+      const updatedAt = new Date().toISOString();
+      const perServer = {};
+      for (const guildId of serverConfigs.keys()) {
+        perServer[guildId] = Object.fromEntries(processed.map(link => [link, { status: 'seen', updatedAt }]));
+      }
+      console.log(`Migrated ${processed.length} processed tournaments to ${serverConfigs.size} servers`);
+      return perServer;
+    }
+  },
+  2: {
+    // Processed topics are keyed by topic ID instead of link; an approved entry wins over other duplicates
+    [PROCESSED_FILE]: processed => {
+      const rekeyed = {};
+      for (const [guildId, links] of Object.entries(processed)) {
+        rekeyed[guildId] = {};
+        for (const [link, entry] of Object.entries(links)) {
+          const key = getTopicKey(link);
+          const existing = rekeyed[guildId][key];
+          if (existing) {
+            const existingApproved = existing.status === 'approved';
+            const approved = entry.status === 'approved';
+            if (existingApproved && !approved) continue;
+            if (existingApproved === approved && Date.parse(existing.updatedAt) >= Date.parse(entry.updatedAt)) continue;
+          }
+          rekeyed[guildId][key] = { ...entry, link };
+        }
+      }
+      return rekeyed;
+    }
+  }
+};
+
+// Optional HTTP server with per-server calendar, RSS/Atom and JSON feeds (off unless FEED_PORT is set)
+const FEED_PORT = process.env.FEED_PORT ? parseInt(process.env.FEED_PORT) : null;
+const FEED_HOST = process.env.FEED_HOST || '127.0.0.1';
+const FEED_BASE_URL = (process.env.FEED_BASE_URL || `http://localhost:${FEED_PORT}`).replace(/\/$/, '');
+let feedServer = null;
+
+// Outbound webhooks (config.webhooks): Discord webhook URLs or JSON endpoints signed with HMAC-SHA256
+const WEBHOOK_EVENTS = ['approved', 'updated', 'cancelled'];
+const WEBHOOK_RETRY_DELAYS_MS = [5000, 30000, 120000];
+const WEBHOOK_TIMEOUT_MS = 10000;
+const DEAD_LETTER_MAX_ENTRIES = 200;
+const DISCORD_WEBHOOK_PATTERN = /^https:\/\/(?:ptb\.|canary\.)?discord(?:app)?\.com\/api\/webhooks\/\d+\/[\w-]+$/;
+
+// Deliveries that failed every retry: [{ id, at, guildId, hookId, event, link, payload, error, attempts }]
+let deadLetters = [];
+const OSU_BASE_URL = (process.env.OSU_BASE_URL || 'https://osu.ppy.sh').replace(/\/$/, '');
+const TOURNAMENT_FORUM_ID = 55;
+const FORUM_URL = `${OSU_BASE_URL}/community/forums/${TOURNAMENT_FORUM_ID}`;
+
+// Forum source: 'api' (osu! API v2, needs OSU_CLIENT_ID/OSU_CLIENT_SECRET) or 'html' (scraping)
+const FORUM_SOURCE = (process.env.FORUM_SOURCE || (process.env.OSU_CLIENT_ID ? 'api' : 'html')).toLowerCase();
+
+// Processed tournaments per server: guildId -> Map(topic key -> { link, status, updatedAt, title, announcement, data, publishedAt, approvedBy })
+// (see getTopicKey)
+// status is one of 'seen', 'drafted', 'queued', 'approved', 'denied', 'filtered'; title is the last topic title we saw,
+// announcement/data/publishedAt/approvedBy describe the published announcement (approved only) and make up the /tournaments archive
+const processedTournaments = new Map();
 const draftData = new Map();
+let scheduledReminders = [];
+let reminderTimer = null;
+let remindersRunning = false;
+const DEFAULT_REMINDER_HOURS = 24;
+const REMINDER_MAX_ATTEMPTS = 5;
+let draftExpiryTimer = null;
+
+// Discord users linked to osu! profiles: userId -> { osuId, username, ranks, updatedAt, dmAlerts, modes, muted, notifiedLinks }
+const linkedUsers = new Map();
+const RANK_REFRESH_HOURS = 12;
+let rankRefreshTimer = null;
 
-// Role colors (Discord hex format)
-const ROLE_COLORS = {
-  'openrank': 0xEF4444, // Red
-  '3digit': 0xA855F7,   // Purple
-  '4digit': 0x22C55E,   // Green
-  '5digit': 0x3B82F6,   // Blue
-  '6digit': 0xEAB308    // Yellow
+// Review audit log per server: guildId -> [{ at, action, userId, userTag, name, link, changes: [{ field, before, after }] }]
+const auditLog = new Map();
+const AUDIT_LOG_MAX_ENTRIES = 1000;
+
+// Scheduled announcements per server: guildId -> { items: [{ id, tournamentId, data, notBefore, queuedBy, queuedAt, attempts, retryAt }], lastPublishedAt }
+const publishQueues = new Map();
+const QUEUE_TICK_MS = 30000;
+const QUEUE_MAX_ATTEMPTS = 5;
+const QUEUE_RETRY_BASE_MS = 60000; // Failed publishes wait 2, 4, 8, 16 minutes before the next attempt
+const DEFAULT_PUBLISHING = { spacingMinutes: 0, quietStart: null, quietEnd: null, utcOffsetMinutes: 0 };
+let queueTimer = null;
+let queueDrainRunning = false;
+const queueItemsPublishing = new Set(); // ids of queue items the drain is publishing right now
+const DRAFT_EXPIRY_DAYS = 14;
+const DEFAULT_SCAN_INTERVAL_MINUTES = 5;
+let lastScrape = { at: null, ok: true, count: 0, error: null, source: null };
+
+// Shared scan scheduler: one forum scrape per tick, fanned out to every due server
+const SCAN_TICK_MS = 30000;
+let scanTimer = null;
+let scanTickRunning = false;
+const scansInFlight = new Map(); // guildId -> promise of the running checkTournaments scan
+
+// Requests to osu.ppy.sh are throttled, retried with backoff and cached
+const OSU_REQUEST_SPACING_MS = 1500;
+const OSU_MAX_RETRIES = 4;
+const OSU_BACKOFF_BASE_MS = 5000;
+const FORUM_CACHE_MS = 10000;
+const MAX_SCAN_PAGES = 5;
+const SCAN_LOOKBACK_DAYS = 14;
+const BACKFILL_MAX_PAGES = 20;
+const BACKFILL_MAX_DRAFTS = 50;
+const POST_CACHE_MS = 30 * 60000;
+const httpCache = new Map(); // url -> { etag, lastModified, data, usedAt }
+const postCache = new Map(); // topic link -> { post, fetchedAt }
+let forumCache = { fetchedAt: 0, topics: [] };
+let nextRequestAt = 0;
+let osuApiToken = { accessToken: null, expiresAt: 0 };
+const failingSources = new Set(); // Sources we already alerted about
+
+// Default rank buckets created by /setup (max null = no upper limit; isOpen buckets are pinged for open rank)
+// Each server stores its own copy in config.buckets; the bucket's role ID lives in config.roles[bucket.key]
+const DEFAULT_RANK_BUCKETS = [
+  { key: 'openrank', name: 'Open Rank', min: 1, max: null, isOpen: true, color: 0xEF4444 }, // Red
+  { key: '3digit', name: '3 Digit', min: 100, max: 999, color: 0xA855F7 },                  // Purple
+  { key: '4digit', name: '4 Digit', min: 1000, max: 9999, color: 0x22C55E },                // Green
+  { key: '5digit', name: '5 Digit', min: 10000, max: 99999, color: 0x3B82F6 },              // Blue
+  { key: '6digit', name: '6 Digit', min: 100000, max: null, color: 0xEAB308 }               // Yellow
+];
+
+// Game modes (keys match the osu! API mode names)
+const GAME_MODES = {
+  'osu': 'osu!standard',
+  'taiko': 'osu!taiko',
+  'fruits': 'osu!catch',
+  'mania': 'osu!mania'
+};
+
+// Regions used for restricted tournaments and regional ping roles
+const REGIONS = {
+  'NA': 'North America',
+  'SA': 'South America',
+  'EU': 'Europe',
+  'ASIA': 'Asia',
+  'OCE': 'Oceania',
+  'AF': 'Africa'
+};
+
+// Other ways hosts write regions
+const REGION_ALIASES = {
+  'north america': 'NA', 'north american': 'NA',
+  'south america': 'SA', 'south american': 'SA', 'latam': 'SA', 'latin america': 'SA', 'latin american': 'SA',
+  'europe': 'EU', 'european': 'EU',
+  'asian': 'ASIA', 'sea': 'ASIA', 'southeast asia': 'ASIA', 'southeast asian': 'ASIA',
+  'oceania': 'OCE', 'oceanic': 'OCE',
+  'africa': 'AF', 'african': 'AF'
+};
+
+// Countries that commonly host restricted tournaments: code -> [name, region]
+const COUNTRIES = {
+  'US': ['United States', 'NA'], 'CA': ['Canada', 'NA'], 'MX': ['Mexico', 'NA'],
+  'BR': ['Brazil', 'SA'], 'AR': ['Argentina', 'SA'], 'CL': ['Chile', 'SA'], 'PE': ['Peru', 'SA'], 'CO': ['Colombia', 'SA'],
+  'GB': ['United Kingdom', 'EU'], 'DE': ['Germany', 'EU'], 'FR': ['France', 'EU'], 'PL': ['Poland', 'EU'],
+  'RU': ['Russia', 'EU'], 'UA': ['Ukraine', 'EU'], 'NL': ['Netherlands', 'EU'], 'ES': ['Spain', 'EU'],
+  'IT': ['Italy', 'EU'], 'SE': ['Sweden', 'EU'], 'FI': ['Finland', 'EU'], 'NO': ['Norway', 'EU'],
+  'CZ': ['Czechia', 'EU'], 'TR': ['Turkey', 'EU'],
+  'JP': ['Japan', 'ASIA'], 'KR': ['South Korea', 'ASIA'], 'CN': ['China', 'ASIA'], 'TW': ['Taiwan', 'ASIA'],
+  'HK': ['Hong Kong', 'ASIA'], 'PH': ['Philippines', 'ASIA'], 'ID': ['Indonesia', 'ASIA'], 'MY': ['Malaysia', 'ASIA'],
+  'SG': ['Singapore', 'ASIA'], 'TH': ['Thailand', 'ASIA'], 'VN': ['Vietnam', 'ASIA'], 'IN': ['India', 'ASIA'],
+  'AU': ['Australia', 'OCE'], 'NZ': ['New Zealand', 'OCE'],
+  'ZA': ['South Africa', 'AF']
 };
 
+// Upgrade stored data from an older schema version
+function migrateStore(file, data, fromVersion) {
+  for (let version = fromVersion + 1; version <= SCHEMA_VERSION; version++) {
+    const migrate = STORE_MIGRATIONS[version]?.[file];
+    if (migrate) data = migrate(data);
+  }
+  return data;
+}
+
+// Write a stored file atomically: temp file, fsync, rename (the previous copy is kept as .bak)
+function writeStore(file, data) {
+  const storePath = path.join(DATA_DIR, file);
+  const tempPath = `${storePath}.tmp`;
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+
+  const fd = fs.openSync(tempPath, 'w');
+  try {
+    fs.writeSync(fd, JSON.stringify({ schemaVersion: SCHEMA_VERSION, savedAt: new Date().toISOString(), data }, null, 2));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  // Only a readable copy may replace the backup
+  if (fs.existsSync(storePath)) {
+    try {
+      JSON.parse(fs.readFileSync(storePath, 'utf8'));
+      fs.copyFileSync(storePath, `${storePath}.bak`);
+    } catch (error) {
+      console.error(`⚠️ ${storePath} is unreadable (${error.message}), keeping ${storePath}.bak`);
+      fs.renameSync(storePath, `${storePath}.corrupt-${Date.now()}`);
+    }
+  }
+  fs.renameSync(tempPath, storePath);
+}
+
+// Read a stored file, importing the old top-level file the first time
+// Returns null when nothing is stored yet; throws when the data cannot be read (never starts empty by accident)
+function readStore(file) {
+  const storePath = path.join(DATA_DIR, file);
+  const backupPath = `${storePath}.bak`;
+
+  if (!fs.existsSync(storePath) && !fs.existsSync(backupPath)) {
+    if (!fs.existsSync(file)) return null;
+    const data = migrateStore(file, JSON.parse(fs.readFileSync(file, 'utf8')), 0);
+    writeStore(file, data);
+    console.log(`📦 Imported ${file} into ${storePath}`);
+    return data;
+  }
+
+  let stored;
+  let recovered = false;
+  try {
+    stored = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+  } catch (error) {
+    if (!fs.existsSync(backupPath)) throw new Error(`${storePath} is unreadable (${error.message})`);
+
+    // Keep the broken copy for inspection so the next save does not back it up over the good one
+    console.error(`⚠️ ${storePath} is unreadable (${error.message}), using ${backupPath}`);
+    if (fs.existsSync(storePath)) fs.renameSync(storePath, `${storePath}.corrupt-${Date.now()}`);
+    stored = JSON.parse(fs.readFileSync(backupPath, 'utf8'));
+    recovered = true;
+  }
+
+  if (stored.schemaVersion > SCHEMA_VERSION) {
+    throw new Error(`${storePath} uses schema ${stored.schemaVersion}, but this version of the bot only knows ${SCHEMA_VERSION}`);
+  }
+
+  // Migrate before writing, so the file is never stamped with a schema its data does not have
+  let data = stored.data;
+  if (stored.schemaVersion < SCHEMA_VERSION) {
+    data = migrateStore(file, stored.data, stored.schemaVersion);
+    console.log(`📦 Upgraded ${storePath} to schema ${SCHEMA_VERSION}`);
+  }
+  if (recovered || stored.schemaVersion < SCHEMA_VERSION) writeStore(file, data);
+  return data;
+}
+
+// Stop instead of running with empty state, which would re-draft every tournament or drop queued work
+function exitOnLoadError(what, error) {
+  console.error(`❌ Could not load ${what}: ${error.message}`);
+  console.error(`   Restore the file in ${DATA_DIR}/ (or its .bak copy) and restart the bot.`);
+  process.exit(1);
+}
+
 // Load server configurations
 function loadServerConfigs() {
   try {
-    if (fs.existsSync(CONFIG_FILE)) {
-      const data = fs.readFileSync(CONFIG_FILE, 'utf8');
-      const configs = JSON.parse(data);
+    const configs = readStore(CONFIG_FILE);
+    if (configs) {
       Object.entries(configs).forEach(([guildId, config]) => {
         serverConfigs.set(guildId, config);
       });
       console.log(`Loaded configurations for ${serverConfigs.size} servers`);
     }
   } catch (error) {
-    console.error('Error loading server configs:', error.message);
+    exitOnLoadError('server configs', error);
   }
 }
 
@@ -59,7 +324,7 @@ function loadServerConfigs() {
 function saveServerConfigs() {
   try {
     const configs = Object.fromEntries(serverConfigs);
-    fs.writeFileSync(CONFIG_FILE, JSON.stringify(configs, null, 2));
+    writeStore(CONFIG_FILE, configs);
   } catch (error) {
     console.error('Error saving server configs:', error.message);
   }
@@ -68,27 +333,215 @@ function saveServerConfigs() {
 // Load processed tournaments
 function loadProcessedTournaments() {
   try {
-    if (fs.existsSync(PROCESSED_FILE)) {
-      const data = fs.readFileSync(PROCESSED_FILE, 'utf8');
-      const array = JSON.parse(data);
-      processedTournaments = new Set(array);
-      console.log(`Loaded ${processedTournaments.size} previously seen tournaments`);
+    const processed = readStore(PROCESSED_FILE);
+    if (processed) {
+      Object.entries(processed).forEach(([guildId, links]) => {
+        processedTournaments.set(guildId, new Map(Object.entries(links)));
+      });
+      console.log(`Loaded processed tournaments for ${processedTournaments.size} servers`);
     }
   } catch (error) {
-    console.error('Error loading processed tournaments:', error.message);
+    exitOnLoadError('processed tournaments', error);
   }
 }
 
 // Save processed tournaments
 function saveProcessedTournaments() {
   try {
-    const array = Array.from(processedTournaments);
-    fs.writeFileSync(PROCESSED_FILE, JSON.stringify(array, null, 2));
+    const processed = {};
+    for (const [guildId, links] of processedTournaments) {
+      processed[guildId] = Object.fromEntries(links);
+    }
+    writeStore(PROCESSED_FILE, processed);
   } catch (error) {
     console.error('Error saving processed tournaments:', error.message);
   }
 }
 
+// Load scheduled registration reminders
+function loadScheduledReminders() {
+  try {
+    const reminders = readStore(REMINDERS_FILE);
+    if (reminders) {
+      scheduledReminders = reminders;
+      console.log(`Loaded ${scheduledReminders.length} scheduled reminders`);
+    }
+  } catch (error) {
+    exitOnLoadError('scheduled reminders', error);
+  }
+}
+
+// Save scheduled registration reminders
+function saveScheduledReminders() {
+  try {
+    writeStore(REMINDERS_FILE, scheduledReminders);
+  } catch (error) {
+    console.error('Error saving scheduled reminders:', error.message);
+  }
+}
+
+// Load linked osu! profiles
+function loadLinkedUsers() {
+  try {
+    const users = readStore(LINKED_USERS_FILE);
+    if (users) {
+      Object.entries(users).forEach(([userId, user]) => {
+        linkedUsers.set(userId, user);
+      });
+      console.log(`Loaded ${linkedUsers.size} linked osu! profiles`);
+    }
+  } catch (error) {
+    exitOnLoadError('linked users', error);
+  }
+}
+
+// Save linked osu! profiles
+function saveLinkedUsers() {
+  try {
+    const users = Object.fromEntries(linkedUsers);
+    writeStore(LINKED_USERS_FILE, users);
+  } catch (error) {
+    console.error('Error saving linked users:', error.message);
+  }
+}
+
+// Load the review audit log
+function loadAuditLog() {
+  try {
+    const log = readStore(AUDIT_FILE);
+    if (log) {
+      Object.entries(log).forEach(([guildId, entries]) => {
+        auditLog.set(guildId, entries);
+      });
+      console.log(`Loaded audit log for ${auditLog.size} servers`);
+    }
+  } catch (error) {
+    exitOnLoadError('audit log', error);
+  }
+}
+
+// Save the review audit log
+function saveAuditLog() {
+  try {
+    const log = Object.fromEntries(auditLog);
+    writeStore(AUDIT_FILE, log);
+  } catch (error) {
+    console.error('Error saving audit log:', error.message);
+  }
+}
+
+// Load the publish queue
+function loadPublishQueues() {
+  try {
+    const queues = readStore(QUEUE_FILE);
+    if (queues) {
+      Object.entries(queues).forEach(([guildId, queue]) => {
+        publishQueues.set(guildId, queue);
+      });
+      const total = [...publishQueues.values()].reduce((sum, queue) => sum + queue.items.length, 0);
+      console.log(`Loaded ${total} queued announcements`);
+    }
+  } catch (error) {
+    exitOnLoadError('publish queue', error);
+  }
+}
+
+// Save the publish queue
+function savePublishQueues() {
+  try {
+    const queues = Object.fromEntries(publishQueues);
+    writeStore(QUEUE_FILE, queues);
+  } catch (error) {
+    console.error('Error saving publish queue:', error.message);
+  }
+}
+
+// Get (or create) a server's publish queue
+function getPublishQueue(guildId) {
+  if (!publishQueues.has(guildId)) publishQueues.set(guildId, { items: [], lastPublishedAt: null });
+  return publishQueues.get(guildId);
+}
+
+// Load webhook deliveries that gave up
+function loadDeadLetters() {
+  try {
+    const letters = readStore(DEAD_LETTER_FILE);
+    if (letters) {
+      deadLetters = letters;
+      console.log(`Loaded ${deadLetters.length} failed webhook deliveries`);
+    }
+  } catch (error) {
+    exitOnLoadError('webhook dead letters', error);
+  }
+}
+
+// Save webhook deliveries that gave up
+function saveDeadLetters() {
+  try {
+    writeStore(DEAD_LETTER_FILE, deadLetters);
+  } catch (error) {
+    console.error('Error saving webhook dead letters:', error.message);
+  }
+}
+
+// Key for a forum topic: its numeric topic ID, so links from the API and the HTML scraper match
+// even when the host, query string or fragment differ (links without an ID are used as they are)
+function getTopicKey(link) {
+  return link.match(/topics\/(\d+)/)?.[1] || link;
+}
+
+// A server's stored entry for a topic link
+function getProcessedEntry(guildId, link) {
+  return processedTournaments.get(guildId)?.get(getTopicKey(link));
+}
+
+// Check whether a server has already handled a tournament link
+function isTournamentProcessed(guildId, link) {
+  return processedTournaments.get(guildId)?.has(getTopicKey(link)) || false;
+}
+
+// Record a tournament's status for one server (call saveProcessedTournaments after)
+// details (title, announcement, data) are merged into what is already stored
+function markTournamentProcessed(guildId, link, status, details = {}) {
+  if (!processedTournaments.has(guildId)) {
+    processedTournaments.set(guildId, new Map());
+  }
+  const key = getTopicKey(link);
+  const existing = processedTournaments.get(guildId).get(key);
+  processedTournaments.get(guildId).set(key, { ...existing, ...details, link, status, updatedAt: new Date().toISOString() });
+}
+
+// Draft ID used in button custom IDs (unique per server and topic)
+function getTournamentId(guildId, link) {
+  const key = getTopicKey(link);
+  return `${guildId}-${key === link ? Buffer.from(link).toString('base64').substring(0, 60) : key}`;
+}
+
+// Load pending drafts (keyed by tournament ID, with the draft message ID)
+function loadDrafts() {
+  try {
+    const drafts = readStore(DRAFTS_FILE);
+    if (drafts) {
+      Object.entries(drafts).forEach(([tournamentId, draft]) => {
+        draftData.set(tournamentId, draft);
+      });
+      console.log(`Loaded ${draftData.size} pending drafts`);
+    }
+  } catch (error) {
+    exitOnLoadError('pending drafts', error);
+  }
+}
+
+// Save pending drafts
+function saveDrafts() {
+  try {
+    const drafts = Object.fromEntries(draftData);
+    writeStore(DRAFTS_FILE, drafts);
+  } catch (error) {
+    console.error('Error saving pending drafts:', error.message);
+  }
+}
+
 // Parse rank range from text
 function parseRankRange(text) {
   // Check for open rank keywords first
@@ -167,546 +620,4719 @@ function parseTeamSize(text) {
   return 'Not detected';
 }
 
-// Determine which rank roles to ping
-function getRankRolesToPing(rankRange, config) {
-  if (!rankRange || !config) return [];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
 
-  if (rankRange.isOpen) {
-    return config.roles.openrank ? ['openrank'] : [];
+// Parse one date ("2025-01-19 23:59", "January 19th, 2025", "19 Jan") into parts
+function parseDateParts(text) {
+  const parts = { year: null, month: null, day: null, hour: null, minute: null };
+  const monthPattern = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+
+  const isoMatch = text.match(/(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+  const monthFirstMatch = text.match(new RegExp(`\\b${monthPattern}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?![:.]\\d)(?:,?\\s+(\\d{4}))?`, 'i'));
+  const dayFirstMatch = text.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${monthPattern}(?:,?\\s+(\\d{4}))?`, 'i'));
+  const dayOnlyMatch = text.match(/^\D*?\b(\d{1,2})(?:st|nd|rd|th)?\b(?!\s*[:.]\d)/);
+
+  if (isoMatch) {
+    parts.year = parseInt(isoMatch[1]);
+    parts.month = parseInt(isoMatch[2]) - 1;
+    parts.day = parseInt(isoMatch[3]);
+  } else if (monthFirstMatch) {
+    parts.month = MONTHS.indexOf(monthFirstMatch[1].toLowerCase());
+    parts.day = parseInt(monthFirstMatch[2]);
+    if (monthFirstMatch[3]) parts.year = parseInt(monthFirstMatch[3]);
+  } else if (dayFirstMatch) {
+    parts.day = parseInt(dayFirstMatch[1]);
+    parts.month = MONTHS.indexOf(dayFirstMatch[2].toLowerCase());
+    if (dayFirstMatch[3]) parts.year = parseInt(dayFirstMatch[3]);
+  } else if (dayOnlyMatch) {
+    parts.day = parseInt(dayOnlyMatch[1]);
   }
 
-  const roles = [];
-  const { min, max } = rankRange;
+  const timeMatch = text.match(/\b(\d{1,2}):(\d{2})\s*(am|pm)?/i) || text.match(/\b(\d{1,2})()\s*(am|pm)\b/i);
+  if (timeMatch) {
+    let hour = parseInt(timeMatch[1]);
+    if (timeMatch[3]?.toLowerCase() === 'pm' && hour < 12) hour += 12;
+    if (timeMatch[3]?.toLowerCase() === 'am' && hour === 12) hour = 0;
+    parts.hour = hour;
+    parts.minute = timeMatch[2] ? parseInt(timeMatch[2]) : 0;
+  }
 
-  if (min <= 999 && max >= 100 && config.roles['3digit']) roles.push('3digit');
-  if (min <= 9999 && max >= 1000 && config.roles['4digit']) roles.push('4digit');
-  if (min <= 99999 && max >= 10000 && config.roles['5digit']) roles.push('5digit');
-  if (max >= 100000 && config.roles['6digit']) roles.push('6digit');
+  return parts;
+}
+
+// Parse a timezone offset in minutes ("UTC+8", "GMT-5"); defaults to UTC
+function parseTimezoneOffset(text) {
+  const offsetMatch = text.match(/\b(?:utc|gmt)\s?([+-])(\d{1,2})(?::?(\d{2}))?\b/i);
+  if (!offsetMatch) return 0;
 
-  return roles;
+  const minutes = parseInt(offsetMatch[2]) * 60 + (offsetMatch[3] ? parseInt(offsetMatch[3]) : 0);
+  return offsetMatch[1] === '-' ? -minutes : minutes;
 }
 
-// Scrape tournament forum posts
-async function scrapeTournaments(limit = 20) {
-  try {
-    const response = await axios.get(FORUM_URL, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      }
-    });
+// Turn date parts into an ISO string (missing times default to start/end of day)
+// A missing year means the next such date, or with assumePast the most recent one (for "since" dates)
+function datePartsToIso(parts, offsetMinutes, endOfDay, assumePast = false) {
+  if (parts.month === null || parts.month < 0 || !parts.day) return null;
 
-    const $ = cheerio.load(response.data);
-    const tournaments = [];
+  const now = new Date();
+  const hour = parts.hour ?? (endOfDay ? 23 : 0);
+  const minute = parts.minute ?? (endOfDay ? 59 : 0);
+  let year = parts.year ?? now.getUTCFullYear();
+  let time = Date.UTC(year, parts.month, parts.day, hour, minute) - offsetMinutes * 60000;
 
-    $('a.forum-topic-entry__title').each((i, elem) => {
-      if (tournaments.length >= limit) return false;
-      
-      const title = $(elem).text().trim();
-      const link = $(elem).attr('href');
-      
-      if (title && link) {
-        const fullLink = link.startsWith('http') ? link : `https://osu.ppy.sh${link}`;
-        tournaments.push({
-          title,
-          link: fullLink,
-          isNew: !processedTournaments.has(fullLink)
-        });
-      }
-    });
+  // No year given and the date is long past: it must mean next year
+  if (parts.year === null && !assumePast && time < now.getTime() - 180 * 86400000) {
+    year += 1;
+    time = Date.UTC(year, parts.month, parts.day, hour, minute) - offsetMinutes * 60000;
+  }
 
-    return tournaments;
-  } catch (error) {
-    console.error('Error scraping tournaments:', error.message);
-    return [];
+  // No year given and the date is still ahead: it must mean last year
+  if (parts.year === null && assumePast && time > now.getTime()) {
+    year -= 1;
+    time = Date.UTC(year, parts.month, parts.day, hour, minute) - offsetMinutes * 60000;
   }
+
+  return isNaN(time) ? null : new Date(time).toISOString();
 }
 
-// Get tournament banner image
-async function getTournamentBanner(url) {
-  try {
-    const response = await axios.get(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      }
-    });
+// Parse registration dates ("Jan 5 - Jan 19 23:59 UTC", "2025-01-05 ~ 2025-01-19")
+function parseRegistrationText(text, label = '') {
+  if (!text) return null;
 
-    const $ = cheerio.load(response.data);
-    const postContent = $('.forum-post-content').first();
-    const firstImage = postContent.find('img').first();
-    
-    if (firstImage.length) {
-      const imgSrc = firstImage.attr('src');
-      if (imgSrc) {
-        return imgSrc.startsWith('http') ? imgSrc : `https://osu.ppy.sh${imgSrc}`;
-      }
-    }
-    
-    const imageMatch = postContent.html()?.match(/https?:\/\/[^\s<>"]+?\.(?:png|jpg|jpeg|gif|webp)/i);
-    if (imageMatch) return imageMatch[0];
-    
-    return null;
-  } catch (error) {
-    console.error('Error fetching banner:', error.message);
-    return null;
-  }
-}
+  const offset = parseTimezoneOffset(text);
+  const normalized = text.replace(/(?<![-/.\d])(\d{1,2})(st|nd|rd|th)?-(\d{1,2})(st|nd|rd|th)?\b(?![-/.]\d)/g, '$1$2 - $3$4');
+  const pieces = normalized.split(/\s+(?:-|to|until|till)\s+|\s*[–—~→]\s*/i).filter(piece => piece.trim());
+  const dates = pieces.map(parseDateParts).filter(parts => parts.day);
 
-// Create draft embed
-function createDraftEmbed(data, config) {
-  const rankText = data.rankRange 
-    ? (data.rankRange.isOpen ? 'Open Rank' : `${data.rankRange.min.toLocaleString()} - ${data.rankRange.max.toLocaleString()}`)
-    : 'Not detected';
+  if (dates.length === 0) return null;
 
-  const rankRoles = getRankRolesToPing(data.rankRange, config);
-  const rolesText = rankRoles.length > 0 ? rankRoles.map(r => `@${r}`).join(', ') : 'None';
+  const first = dates[0];
+  const last = dates[dates.length - 1];
+  if (dates.length > 1) {
+    if (first.month === null) first.month = last.month;
+    if (last.month === null) last.month = first.month;
+    if (first.year === null) first.year = last.year;
+    if (last.year === null) last.year = first.year;
+  }
 
-  let description = `**Name:** ${data.name}\n`;
-  description += `**Link:** ${data.link}\n`;
-  description += `**Rank Range:** ${rankText}\n`;
-  description += `**Team Size:** ${data.teamSize}\n`;
-  if (data.banner) description += `**Banner:** Found ✓\n`;
-  if (data.comments) description += `\n**Additional Info:**\n${data.comments}`;
-  description += `\n\n**Will ping:** ${rolesText}`;
+  const registration = { opens: null, closes: null };
+  const context = `${label} ${text}`;
 
-  const embed = new EmbedBuilder()
-    .setColor('#FF66AA')
-    .setTitle('🎮 Tournament Draft')
-    .setDescription(description)
-    .setTimestamp();
-  
-  if (data.banner) embed.setImage(data.banner);
+  if (dates.length > 1) {
+    registration.opens = datePartsToIso(first, offset, false);
+    registration.closes = datePartsToIso(last, offset, true);
+  } else if (/open|start|from|begin/i.test(context) && !/close|end|deadline|until|till|by\b/i.test(context)) {
+    registration.opens = datePartsToIso(first, offset, false);
+  } else {
+    registration.closes = datePartsToIso(first, offset, true);
+  }
 
-  return embed;
+  return registration.opens || registration.closes ? registration : null;
 }
 
-// Create action buttons
-function createActionButtons(tournamentId) {
-  const row1 = new ActionRowBuilder()
-    .addComponents(
-      new ButtonBuilder()
-        .setCustomId(`approve_${tournamentId}`)
-        .setLabel('✅ Approve & Send')
-        .setStyle(ButtonStyle.Success),
-      new ButtonBuilder()
-        .setCustomId(`deny_${tournamentId}`)
-        .setLabel('❌ Deny')
-        .setStyle(ButtonStyle.Danger)
-    );
-  
-  const row2 = new ActionRowBuilder()
-    .addComponents(
-      new ButtonBuilder()
-        .setCustomId(`edit_${tournamentId}`)
-        .setLabel('✏️ Edit Details')
-        .setStyle(ButtonStyle.Primary)
-    );
+// Format an ISO date for the edit modal ("2025-01-19 23:59")
+function formatUtcDate(iso) {
+  return iso.slice(0, 16).replace('T', ' ');
+}
 
-  return [row1, row2];
+// Registration value shown in the edit modal
+function formatRegistrationInput(registration) {
+  if (!registration) return '';
+  if (registration.opens && registration.closes) {
+    return `${formatUtcDate(registration.opens)} - ${formatUtcDate(registration.closes)} UTC`;
+  }
+  if (registration.closes) return `until ${formatUtcDate(registration.closes)} UTC`;
+  return `from ${formatUtcDate(registration.opens)} UTC`;
 }
 
-// Format final announcement
-function formatAnnouncement(data, rankRoles, config) {
-  const mentions = rankRoles
-    .map(role => config.roles[role])
-    .filter(roleId => roleId)
-    .map(roleId => `<@&${roleId}>`)
-    .join(' ');
+// Registration dates as Discord timestamps (shown in each reader's timezone)
+function formatRegistration(registration) {
+  if (!registration || (!registration.opens && !registration.closes)) return null;
 
-  const rankDisplay = data.rankRange.isOpen 
-    ? 'Open Rank' 
-    : `${data.rankRange.min.toLocaleString()}-${data.rankRange.max.toLocaleString()}`;
-  
-  let description = `### Forum Post\n${data.link}\n\n`;
-  description += `**Format:** ${data.teamSize}\n**Rank:** ${rankDisplay}`;
-  
-  if (data.comments) {
-    const formattedComments = data.comments
-      .split('\n')
-      .map(line => line.trim())
-      .filter(line => line.length > 0)
-      .map(line => `-# ${line}`)
-      .join('\n');
-    description += `\n\n${formattedComments}`;
+  const timestamp = (iso, style) => `<t:${Math.floor(Date.parse(iso) / 1000)}:${style}>`;
+  if (registration.opens && registration.closes) {
+    return `${timestamp(registration.opens, 'f')} → ${timestamp(registration.closes, 'f')} (closes ${timestamp(registration.closes, 'R')})`;
   }
+  if (registration.closes) return `Closes ${timestamp(registration.closes, 'f')} (${timestamp(registration.closes, 'R')})`;
+  return `Opens ${timestamp(registration.opens, 'f')}`;
+}
 
-  const embed = new EmbedBuilder()
-    .setColor('#3b82f6')
-    .setTitle(data.name)
-    .setDescription(description)
-    .setFooter({ text: `Bot by ${BOT_CREATOR}` });
-  
-  if (data.banner) embed.setImage(data.banner);
+// Detect badge-weighted seeding: true, false ("no BWS") or null when not mentioned
+function parseBws(text) {
+  if (!text) return null;
+  if (/\b(no|without|non)[\s-]*bws\b|\bbws\s*[:：]\s*(no|none|off|disabled)\b|\bno\s*badge\s*weight/i.test(text)) return false;
+  if (/\bbws\b|badge[\s-]*weight|badge\s*seeding|\bbadged\b/i.test(text)) return true;
+  return null;
+}
 
-  return { content: mentions, embed };
+// Effective rank under the standard BWS formula: rank ^ (0.9937 ^ (badges ^ 2))
+function getBwsRank(rank, badges) {
+  return Math.round(rank ** (0.9937 ** (badges ** 2)));
 }
 
-// Check for new tournaments (for a specific server)
-async function checkTournaments(guildId) {
-  const config = serverConfigs.get(guildId);
-  if (!config) {
-    console.log(`No configuration found for guild ${guildId}`);
-    return;
-  }
+// Count the badges that BWS usually counts (tournament badges, not contribution ones)
+function countTournamentBadges(badges) {
+  return badges
+    .filter(badge => !/contribut|nominat|mapp|beatmap|spotlight|fanart|moderat|mentor|playtest|pending|support/i.test(badge.description || ''))
+    .length;
+}
 
-  console.log(`Checking tournaments for guild ${guildId}...`);
-  
-  const isFirstRun = processedTournaments.size === 0;
-  const limit = isFirstRun ? 20 : 100;
+// Turn a region/country word into its code ("Europe" -> "EU", "br" -> "BR", "Brazil" -> "BR")
+function parseRegionCode(text) {
+  const value = (text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  if (!value) return null;
+  if (REGIONS[value.toUpperCase()]) return value.toUpperCase();
+  if (REGION_ALIASES[value]) return REGION_ALIASES[value];
+  if (value === 'uk') return 'GB';
+  if (value === 'korea') return 'KR';
+  if (COUNTRIES[value.toUpperCase()]) return value.toUpperCase();
+  const country = Object.entries(COUNTRIES).find(([, [name]]) => name.toLowerCase() === value);
+  return country ? country[0] : null;
+}
+
+// Add a region or country code to a restriction
+function addRestrictionCode(restriction, code) {
+  const list = REGIONS[code] ? restriction.regions : restriction.countries;
+  if (!list.includes(code)) list.push(code);
+}
+
+// Detect region/country restrictions ("[EU]", "[BR only]", "🇵🇱", "Country restricted")
+// kind is 'title', 'body' (phrases only: staff lists are full of flags) or 'field' (a "Region:" value)
+// Returns { regions, countries, unspecified }, false when a post says there is none, or null
+function parseRestriction(text, kind = 'title') {
+  if (!text) return null;
+  const restriction = { regions: [], countries: [], unspecified: false };
+
+  if (kind === 'field') {
+    // "Region: Europe", "Countries: BR, AR", "Restrictions: None"
+    if (/^(none|no|global|worldwide|international|open|any|all|n\/a|-)\b/i.test(text.trim())) return false;
+    for (const part of text.split(/[,/&|+]|\band\b/i)) {
+      const code = parseRegionCode(part.replace(/\b(only|players?|restricted)\b/gi, ''));
+      if (code) addRestrictionCode(restriction, code);
+    }
+  } else {
+    // Bracket tags made only of region/country words
+    for (const [, tag] of (kind === 'title' ? text : '').matchAll(/[[(]([^\])\n]{1,40})[\])]/g)) {
+      const words = tag.replace(/\b(only|restricted|exclusive)\b/gi, '').split(/\s*[,/&|+]\s*|\s+-\s+/).filter(word => word.trim());
+      const codes = words.map(word => parseRegionCode(word));
+      if (codes.length > 0 && codes.every(Boolean)) codes.forEach(code => addRestrictionCode(restriction, code));
+    }
+
+    // Flag emoji
+    for (const [flag] of (kind === 'title' ? text : '').matchAll(/[\u{1F1E6}-\u{1F1FF}]{2}/gu)) {
+      const code = [...flag].map(char => String.fromCharCode(char.codePointAt(0) - 0x1F1E6 + 65)).join('');
+      if (COUNTRIES[code]) addRestrictionCode(restriction, code);
+    }
+
+    // "Brazil only", "EU-only", "restricted to Europe", "only for players from Poland"
+    const names = [
+      ...Object.keys(REGIONS), ...Object.keys(REGION_ALIASES), 'asia',
+      ...Object.values(COUNTRIES).map(([name]) => name)
+    ];
+    for (const name of names) {
+      const escaped = name.replace(/\s+/g, '\\s+');
+      const pattern = new RegExp(`\\b${escaped}[\\s-]*only\\b|\\b(only|restricted|exclusive|limited)\\s+(to|for)\\s+(players\\s+(from|in)\\s+)?(the\\s+)?${escaped}\\b`, 'i');
+      if (pattern.test(text)) addRestrictionCode(restriction, parseRegionCode(name));
+    }
+    // Country codes only count in upper case ("BR only"), so words like "in only" are not matched
+    for (const [, code] of text.matchAll(/\b([A-Z]{2})[\s-]*only\b/gi)) {
+      if (code === code.toUpperCase() && COUNTRIES[code]) addRestrictionCode(restriction, code);
+    }
+
+    if (/\b(country|region)[\s-]*(restricted|locked|exclusive|only)\b|\b(country|region)\s+restrictions?\s+appl/i.test(text)) {
+      restriction.unspecified = true;
+    }
+  }
+
+  if (restriction.regions.length === 0 && restriction.countries.length === 0) {
+    return restriction.unspecified ? restriction : null;
+  }
+  restriction.unspecified = false;
+  return restriction;
+}
+
+// Flag emoji for a country code
+function getCountryFlag(code) {
+  return String.fromCodePoint(...[...code].map(char => 0x1F1E6 + char.charCodeAt(0) - 65));
+}
+
+// Format a restriction ("Europe only", "🇧🇷 Brazil / 🇦🇷 Argentina only")
+function formatRestriction(restriction) {
+  if (!restriction) return null;
+  if (restriction.unspecified) return 'Country restricted (see forum post)';
+
+  const parts = [
+    ...restriction.regions.map(code => REGIONS[code]),
+    ...restriction.countries.map(code => `${getCountryFlag(code)} ${COUNTRIES[code][0]}`)
+  ];
+  return `${parts.join(' / ')} only`;
+}
+
+// Check whether a restriction includes any of the given region/country codes
+function restrictionMatches(restriction, codes) {
+  return codes.some(code =>
+    restriction.regions.includes(code) ||
+    restriction.countries.includes(code) ||
+    restriction.countries.some(country => COUNTRIES[country][1] === code) ||
+    (COUNTRIES[code] && restriction.regions.includes(COUNTRIES[code][1]))
+  );
+}
+
+// Status tags hosts add to topic titles ("[CANCELLED]", "[REGISTRATIONS CLOSED]")
+function parseTitleStatus(title) {
+  return {
+    cancelled: /\bcancel+ed\b/i.test(title),
+    registrationClosed: /\b(reg(istration)?s?|sign\s*-?\s*ups?)\s*(are\s*)?closed\b|\bclosed\s*reg/i.test(title)
+  };
+}
+
+// Parse game mode from text ("[osu!mania 4K]", "[taiko]", "[CTB]", ...)
+function parseGameMode(text) {
+  if (!text) return null;
+
+  if (/osu!?\s*mania|\bmania\b|\bo!m\b|\[\s*\d{1,2}\s*k\s*\]/i.test(text)) return 'mania';
+  if (/osu!?\s*taiko|\btaiko\b|\bo!t\b/i.test(text)) return 'taiko';
+  if (/osu!?\s*catch|\bctb\b|catch\s*the\s*beat|\bfruits\b|\bo!c\b/i.test(text)) return 'fruits';
+  if (/osu!?\s*standard|\bstd\b|\bo!std\b|\[\s*osu!?\s*\]/i.test(text)) return 'osu';
+
+  return null;
+}
+
+// Role key for a rank bucket in a given mode ("4digit", "mania_4digit")
+function getModeRoleKey(mode, bucket) {
+  return !mode || mode === 'osu' ? bucket : `${mode}_${bucket}`;
+}
+
+// Discord role name for a bucket ("4 Digit Tourney Pings", "osu!mania 4 Digit Tourney Pings")
+function getBucketRoleName(bucket) {
+  const mode = bucket.mode || 'osu';
+  return mode === 'osu' ? `${bucket.name} Tourney Pings` : `${GAME_MODES[mode]} ${bucket.name} Tourney Pings`;
+}
+
+// Build buckets for configs from before buckets existed (role keys like "4digit" or "mania_4digit")
+function getBucketsFromRoles(roles) {
+  const buckets = [];
+  for (const key of Object.keys(roles)) {
+    const [mode, bucketKey] = key.includes('_') ? key.split('_') : ['osu', key];
+    const defaults = DEFAULT_RANK_BUCKETS.find(bucket => bucket.key === bucketKey);
+    if (defaults) buckets.push({ ...defaults, key, mode });
+  }
+  return buckets;
+}
+
+// Format a bucket's range ("#1,000 - #9,999", "#100,000+", "Open rank")
+function formatBucketRange(bucket) {
+  if (bucket.isOpen) return 'Open rank';
+  if (bucket.max === null) return `#${bucket.min.toLocaleString()}+`;
+  return `#${bucket.min.toLocaleString()} - #${bucket.max.toLocaleString()}`;
+}
+
+// Determine which rank roles to ping: every bucket of the mode that overlaps the range
+function getRankRolesToPing(rankRange, config, mode = 'osu') {
+  if (!rankRange || !config) return [];
+
+  const buckets = (config.buckets || [])
+    .filter(bucket => (bucket.mode || 'osu') === (mode || 'osu'))
+    .filter(bucket => config.roles[bucket.key]);
+
+  if (rankRange.isOpen) {
+    return buckets.filter(bucket => bucket.isOpen).map(bucket => bucket.key);
+  }
+
+  const { min, max } = rankRange;
+  return buckets
+    .filter(bucket => !bucket.isOpen)
+    .filter(bucket => min <= (bucket.max ?? Infinity) && max >= bucket.min)
+    .map(bucket => bucket.key);
+}
+
+// Regional role keys to ping for a restricted tournament ("region_EU", "region_BR")
+function getRegionRolesToPing(restriction, config) {
+  if (!restriction || restriction.unspecified) return [];
+  return Object.keys(config.roles)
+    .filter(key => key.startsWith('region_') && config.roles[key])
+    .filter(key => restrictionMatches(restriction, [key.replace('region_', '')]));
+}
+
+// Roles to ping for a tournament: the matching regional roles when it is restricted, otherwise the rank buckets
+function getRolesToPing(data, config) {
+  const regionRoles = getRegionRolesToPing(data.restriction, config);
+  if (regionRoles.length > 0) return regionRoles;
+  return getRankRolesToPing(data.rankRange, config, data.mode);
+}
+
+// Wait for a free request slot so osu.ppy.sh gets at most one request per OSU_REQUEST_SPACING_MS
+async function waitForRequestSlot() {
+  const now = Date.now();
+  const wait = Math.max(0, nextRequestAt - now);
+  nextRequestAt = Math.max(now, nextRequestAt) + OSU_REQUEST_SPACING_MS;
+  if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+}
+
+// Send a request to osu.ppy.sh (throttled, backoff on 429/5xx and network errors)
+async function osuRequest(options) {
+  for (let attempt = 0; ; attempt++) {
+    await waitForRequestSlot();
+
+    try {
+      return await axios.request(options);
+    } catch (error) {
+      const status = error.response?.status;
+      const retryable = !status || status === 429 || status >= 500;
+      if (!retryable || attempt >= OSU_MAX_RETRIES) throw error;
+
+      const retryAfter = parseInt(error.response?.headers?.['retry-after']) * 1000;
+      const delay = retryAfter || OSU_BACKOFF_BASE_MS * 2 ** attempt;
+      console.log(`osu! request failed (${status || error.code}), retrying in ${Math.round(delay / 1000)}s`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// GET a page from osu.ppy.sh (conditional requests with ETag/Last-Modified)
+async function fetchOsuPage(url) {
+  const cached = httpCache.get(url);
+
+  const headers = {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+  };
+  if (cached?.etag) headers['If-None-Match'] = cached.etag;
+  if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+  const response = await osuRequest({
+    method: 'get',
+    url,
+    headers,
+    validateStatus: status => (status >= 200 && status < 300) || (status === 304 && Boolean(cached))
+  });
+
+  if (response.status === 304) {
+    cached.usedAt = Date.now();
+    return cached.data;
+  }
+
+  const etag = response.headers.etag;
+  const lastModified = response.headers['last-modified'];
+  if (etag || lastModified) {
+    httpCache.set(url, { etag, lastModified, data: response.data, usedAt: Date.now() });
+  }
+
+  return response.data;
+}
+
+// Get (and cache) an osu! API v2 token with the client credentials grant
+async function getOsuApiToken(forceRefresh = false) {
+  if (!forceRefresh && osuApiToken.accessToken && Date.now() < osuApiToken.expiresAt) {
+    return osuApiToken.accessToken;
+  }
+
+  if (!process.env.OSU_CLIENT_ID || !process.env.OSU_CLIENT_SECRET) {
+    throw new Error('OSU_CLIENT_ID and OSU_CLIENT_SECRET are required for the osu! API source');
+  }
+
+  const response = await osuRequest({
+    method: 'post',
+    url: `${OSU_BASE_URL}/oauth/token`,
+    data: {
+      client_id: process.env.OSU_CLIENT_ID,
+      client_secret: process.env.OSU_CLIENT_SECRET,
+      grant_type: 'client_credentials',
+      scope: 'public'
+    }
+  });
+
+  // Refresh a minute early so requests never race the expiry
+  osuApiToken = {
+    accessToken: response.data.access_token,
+    expiresAt: Date.now() + (response.data.expires_in - 60) * 1000
+  };
+  return osuApiToken.accessToken;
+}
+
+// GET an osu! API v2 endpoint (retries once with a fresh token on 401)
+async function osuApiGet(apiPath, params = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const token = await getOsuApiToken(attempt > 0);
+
+    try {
+      const response = await osuRequest({
+        method: 'get',
+        url: `${OSU_BASE_URL}/api/v2${apiPath}`,
+        params,
+        headers: { Authorization: `Bearer ${token}`, 'x-api-version': '20240529' }
+      });
+      return response.data;
+    } catch (error) {
+      if (error.response?.status !== 401 || attempt > 0) throw error;
+    }
+  }
+}
+
+// Parse a topic's first post HTML into { banner, body }
+function parseFirstPost(html) {
+  if (!html) return { banner: null, body: '' };
+  const $ = cheerio.load(`<div class="forum-post-content">${html}</div>`);
+  const postContent = $('.forum-post-content').first();
+  return { banner: extractBanner(postContent), body: htmlToText(postContent.html() || '') };
+}
+
+// Forum sources share one interface:
+//   listTopics(page) -> { topics: [{ title, link, createdAt, lastPostAt }], nextPage }
+//     (most recently active first; page is null for the first page; throws if page 1 can't be parsed)
+//   getFirstPost(link) -> { banner, body }
+const htmlForumSource = {
+  name: 'html',
+
+  async listTopics(page = null) {
+    const pageNumber = page || 1;
+    const html = await fetchOsuPage(pageNumber > 1 ? `${FORUM_URL}?page=${pageNumber}` : FORUM_URL);
+
+    const $ = cheerio.load(html);
+    const tournaments = [];
+
+    $('a.forum-topic-entry__title').each((i, elem) => {
+      const title = $(elem).text().trim();
+      const link = $(elem).attr('href');
+      
+      if (title && link) {
+        const fullLink = link.startsWith('http') ? link : `${OSU_BASE_URL}${link}`;
+        // The first timestamp in an entry is when the topic was created, the last is its latest post
+        const times = $(elem).closest('.forum-topic-entry').find('time[datetime]');
+        tournaments.push({
+          title,
+          link: fullLink,
+          createdAt: times.first().attr('datetime') || null,
+          lastPostAt: times.last().attr('datetime') || null
+        });
+      }
+    });
+
+    if (tournaments.length === 0 && pageNumber === 1) {
+      throw new Error('No topics found on the forum page (the page layout may have changed)');
+    }
+    return { topics: tournaments, nextPage: tournaments.length > 0 ? pageNumber + 1 : null };
+  },
+
+  async getFirstPost(link) {
+    const html = await fetchOsuPage(link);
+
+    const $ = cheerio.load(html);
+    const postContent = $('.forum-post-content').first();
+    if (!postContent.length) {
+      throw new Error('No post content found on the topic page (the page layout may have changed)');
+    }
+
+    return parseFirstPost(postContent.html() || '');
+  }
+};
+
+const apiForumSource = {
+  name: 'api',
+
+  async listTopics(page = null) {
+    const params = { forum_id: TOURNAMENT_FORUM_ID, sort: 'new', limit: 50 };
+    if (page) params.cursor_string = page;
+
+    const data = await osuApiGet('/forums/topics', params);
+    const topics = (data.topics || [])
+      .filter(topic => topic.title && topic.id)
+      .map(topic => ({
+        title: topic.title.trim(),
+        link: `${OSU_BASE_URL}/community/forums/topics/${topic.id}`,
+        createdAt: topic.created_at || null,
+        lastPostAt: topic.updated_at || topic.created_at || null
+      }));
+
+    if (topics.length === 0 && !page) {
+      throw new Error('The osu! API returned no topics (the response format may have changed)');
+    }
+    return { topics, nextPage: data.cursor_string || null };
+  },
+
+  async getFirstPost(link) {
+    const topicId = link.match(/topics\/(\d+)/)?.[1];
+    if (!topicId) throw new Error(`Not a forum topic link: ${link}`);
+
+    const data = await osuApiGet(`/forums/topics/${topicId}`, { sort: 'id_asc', limit: 1 });
+    const html = data.posts?.[0]?.body?.html;
+    if (html === undefined) {
+      throw new Error('The osu! API returned no first post (the response format may have changed)');
+    }
+
+    return parseFirstPost(html);
+  }
+};
+
+// Sources to try in order: the configured one first, the HTML scraper as fallback
+function getForumSources() {
+  return FORUM_SOURCE === 'api' ? [apiForumSource, htmlForumSource] : [htmlForumSource];
+}
+
+// Tell every server's review channel that a forum source stopped working (once per outage)
+async function alertSourceFailure(source, error) {
+  console.error(`⚠️ Forum source "${source.name}" failed:`, error.message);
+  if (failingSources.has(source.name)) return;
+  failingSources.add(source.name);
+
+  for (const config of serverConfigs.values()) {
+    try {
+      const channel = await client.channels.fetch(config.draftChannelId);
+      await channel.send(
+        `⚠️ **Tournament source \`${source.name}\` is failing:** ${error.message}\n` +
+        (source === htmlForumSource
+          ? 'The osu! website may have changed. New tournaments will not be drafted until this is fixed.'
+          : 'Falling back to scraping the osu! website.')
+      );
+    } catch (sendError) {
+      console.error(`Error sending source alert to guild ${config.guildId}:`, sendError.message);
+    }
+  }
+}
+
+// Mark a source as healthy again after an outage
+function clearSourceFailure(source) {
+  if (failingSources.delete(source.name)) {
+    console.log(`✅ Forum source "${source.name}" is working again`);
+  }
+}
+
+// Fetch forum listing pages (newest first) until stopAfterPage(pageTopics) is true or maxPages is reached
+async function fetchForumPages(maxPages, stopAfterPage = () => false) {
+  let lastError = null;
+
+  for (const source of getForumSources()) {
+    try {
+      const tournaments = [];
+      const seenLinks = new Set();
+      let page = null;
+
+      for (let pageCount = 0; pageCount < maxPages; pageCount++) {
+        const result = await source.listTopics(page);
+
+        // Topics bumped while we paginate can show up twice
+        const pageTopics = result.topics.filter(topic => !seenLinks.has(getTopicKey(topic.link)));
+        pageTopics.forEach(topic => seenLinks.add(getTopicKey(topic.link)));
+        tournaments.push(...pageTopics);
+
+        if (!result.nextPage || result.topics.length === 0 || stopAfterPage(result.topics)) break;
+        page = result.nextPage;
+      }
+
+      clearSourceFailure(source);
+      forumCache = { fetchedAt: Date.now(), topics: tournaments };
+      lastScrape = { at: new Date().toISOString(), ok: true, count: tournaments.length, error: null, source: source.name };
+      return tournaments;
+    } catch (error) {
+      lastError = error;
+      await alertSourceFailure(source, error);
+    }
+  }
+
+  console.error('Error scraping tournaments:', lastError.message);
+  lastScrape = { at: new Date().toISOString(), ok: false, count: 0, error: lastError.message, source: null };
+  return [];
+}
+
+// Scrape the first page of tournament forum posts (shared by every server; reused for up to maxAgeMs)
+async function scrapeTournaments(limit = 20, maxAgeMs = FORUM_CACHE_MS) {
+  if (Date.now() - forumCache.fetchedAt < maxAgeMs) {
+    return forumCache.topics.slice(0, limit);
+  }
+
+  const tournaments = await fetchForumPages(1);
+  return tournaments.slice(0, limit);
+}
+
+// Whether a listing page reaches topics every given server has already seen (or is too old to matter)
+function isForumPageCaughtUp(pageTopics, guildIds) {
+  const oldest = pageTopics[pageTopics.length - 1];
+  if (!oldest) return true;
+
+  const cutoff = Date.now() - SCAN_LOOKBACK_DAYS * 86400000;
+  if (oldest.lastPostAt && Date.parse(oldest.lastPostAt) < cutoff) return true;
+
+  // Servers on their first run only take the newest topics, so they never need more pages
+  return guildIds.every(guildId => !processedTournaments.get(guildId)?.size || isTournamentProcessed(guildId, oldest.link));
+}
+
+// Drop cached pages nobody asked for recently
+function pruneCaches() {
+  const cutoff = Date.now() - POST_CACHE_MS;
+  for (const [url, entry] of httpCache) {
+    if (entry.usedAt < cutoff) httpCache.delete(url);
+  }
+  for (const [link, entry] of postCache) {
+    if (entry.fetchedAt < cutoff) postCache.delete(link);
+  }
+}
+
+// Convert forum post HTML to plain text, keeping line breaks
+function htmlToText(html) {
+  const withBreaks = html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|h[1-6]|tr)>/gi, '\n');
+  return cheerio.load(withBreaks).text()
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0)
+    .join('\n');
+}
+
+// Find the banner image inside the first post
+function extractBanner(postContent) {
+  const firstImage = postContent.find('img').first();
   
-  const tournaments = await scrapeTournaments(limit);
-  const tournamentsToShow = isFirstRun ? tournaments : tournaments.filter(t => t.isNew);
+  if (firstImage.length) {
+    const imgSrc = firstImage.attr('src');
+    if (imgSrc) {
+      return imgSrc.startsWith('http') ? imgSrc : `${OSU_BASE_URL}${imgSrc}`;
+    }
+  }
   
-  if (tournamentsToShow.length === 0) {
-    console.log('No new tournaments to show');
-    return;
+  const imageMatch = postContent.html()?.match(/https?:\/\/[^\s<>"]+?\.(?:png|jpg|jpeg|gif|webp)/i);
+  if (imageMatch) return imageMatch[0];
+  
+  return null;
+}
+
+// Get the first post of a tournament topic (banner + plain text body), cached per topic
+async function getTournamentPost(url) {
+  const cached = postCache.get(url);
+  if (cached && Date.now() - cached.fetchedAt < POST_CACHE_MS) return cached.post;
+
+  for (const source of getForumSources()) {
+    try {
+      const post = await source.getFirstPost(url);
+      postCache.set(url, { post, fetchedAt: Date.now() });
+      return post;
+    } catch (error) {
+      console.error(`Error fetching tournament post (${source.name}):`, error.message);
+    }
+  }
+
+  return { banner: null, body: '' };
+}
+
+// Parse labelled lines ("Rank Range: ...", "Team Size: ...") from the post body
+function parsePostFields(body) {
+  const fields = { rankRange: null, teamSize: null, mode: null, registration: null, host: null, restriction: null, startsAt: null };
+  if (!body) return fields;
+
+  for (const line of body.split('\n')) {
+    const labelMatch = line.match(/^[^a-z0-9]*([a-z][a-z\s-]*?)\s*[:：]\s*(.+)$/i);
+    if (!labelMatch) continue;
+
+    const label = labelMatch[1].toLowerCase();
+    const value = labelMatch[2].trim();
+
+    if (!fields.rankRange && /^(rank|ranks|rank\s*(range|limit|restriction|requirement)s?)$/.test(label)) {
+      fields.rankRange = parseRankRange(value);
+    } else if (!fields.teamSize && /^(team\s*size|format|players?\s*per\s*team)$/.test(label)) {
+      let teamSize = parseTeamSize(value);
+      if (teamSize === 'Not detected' && !/^format$/.test(label)) {
+        // "Team Size: 4" or "Team Size: 2-4"
+        const sizeMatch = value.match(/^(\d+)(?:\s*[-–~]\s*(\d+))?/);
+        if (sizeMatch) teamSize = `TS${sizeMatch[2] || sizeMatch[1]}`;
+      }
+      if (teamSize !== 'Not detected') fields.teamSize = teamSize;
+    } else if (!fields.mode && /^(game\s*)?mode$/.test(label)) {
+      fields.mode = parseGameMode(value);
+    } else if (!fields.startsAt && /^(tournament\s*)?(starts?|start\s*date|begins?)$/.test(label)) {
+      fields.startsAt = datePartsToIso(parseDateParts(value), parseTimezoneOffset(value), false);
+    } else if (!fields.host && /^(hosts?|hosted\s*by|organi[sz]ers?|organi[sz]ed\s*by)$/.test(label)) {
+      fields.host = value.substring(0, 100);
+    } else if (fields.restriction === null && /^(regions?|countr(y|ies)|((region|country)\s*)?restrictions?|eligibility)$/.test(label)) {
+      fields.restriction = parseRestriction(value, 'field');
+    } else if (/^(registrations?|sign\s*-?\s*ups?)(\s*(phase|period|dates?|deadline|closes?|closing|ends?|opens?|opening|starts?))?$/.test(label)) {
+      // "Registration opens: ..." and "Registration closes: ..." may be on separate lines
+      const registration = parseRegistrationText(value, label);
+      if (registration) {
+        fields.registration = {
+          opens: fields.registration?.opens || registration.opens,
+          closes: fields.registration?.closes || registration.closes
+        };
+      }
+    }
+  }
+
+  return fields;
+}
+
+// Combine title and post body; labelled post fields win over title guesses
+function parseTournamentDetails(title, body) {
+  const postFields = parsePostFields(body);
+  const titleRankRange = parseRankRange(title);
+  const titleTeamSize = parseTeamSize(title);
+  const titleMode = parseGameMode(title);
+
+  const details = {
+    rankRange: null,
+    teamSize: 'Not detected',
+    mode: 'osu',
+    registration: postFields.registration,
+    host: postFields.host,
+    startsAt: postFields.startsAt,
+    restriction: null,
+    bws: false,
+    sources: { rankRange: null, teamSize: null, mode: 'default', registration: postFields.registration ? 'post' : null, startsAt: postFields.startsAt ? 'post' : null, bws: null, restriction: null }
+  };
+
+  // A "Region:" line in the post wins (and can say there is no restriction), then the title, then the body text
+  const titleRestriction = parseRestriction(title);
+  const bodyRestriction = parseRestriction(body, 'body');
+  if (postFields.restriction !== null) {
+    details.restriction = postFields.restriction || null;
+    details.sources.restriction = postFields.restriction ? 'post' : null;
+  } else if (titleRestriction) {
+    details.restriction = titleRestriction;
+    details.sources.restriction = 'title';
+  } else if (bodyRestriction) {
+    details.restriction = bodyRestriction;
+    details.sources.restriction = 'post';
+  }
+
+  if (postFields.rankRange) {
+    details.rankRange = postFields.rankRange;
+    details.sources.rankRange = 'post';
+  } else if (titleRankRange) {
+    details.rankRange = titleRankRange;
+    details.sources.rankRange = 'title';
+  }
+
+  if (postFields.teamSize) {
+    details.teamSize = postFields.teamSize;
+    details.sources.teamSize = 'post';
+  } else if (titleTeamSize !== 'Not detected') {
+    details.teamSize = titleTeamSize;
+    details.sources.teamSize = 'title';
+  }
+
+  // Mode tags in the title are reliable; bracketed tags in the body come last
+  const bodyTagMode = parseGameMode((body || '').match(/\[[^\]\n]{1,30}\]/g)?.join(' '));
+  if (postFields.mode) {
+    details.mode = postFields.mode;
+    details.sources.mode = 'post';
+  } else if (titleMode) {
+    details.mode = titleMode;
+    details.sources.mode = 'title';
+  } else if (bodyTagMode) {
+    details.mode = bodyTagMode;
+    details.sources.mode = 'post';
+  }
+
+  const titleBws = parseBws(title);
+  const bodyBws = parseBws(body);
+  if (titleBws !== null) {
+    details.bws = titleBws;
+    details.sources.bws = 'title';
+  } else if (bodyBws !== null) {
+    details.bws = bodyBws;
+    details.sources.bws = 'post';
+  }
+
+  return details;
+}
+
+// How much each parsed field counts towards a draft's confidence score
+const CONFIDENCE_WEIGHTS = { rankRange: 40, teamSize: 30, mode: 20, registration: 10 };
+const SOURCE_CONFIDENCE = { manual: 1, post: 1, title: 0.8, default: 0.5 };
+
+// Default auto-approve rules (off until a server turns them on)
+const DEFAULT_AUTO_APPROVE = {
+  enabled: false,
+  minConfidence: 60,
+  requiredFields: ['rank', 'format'],
+  modes: [],
+  maxPings: 3,
+  includeKeywords: [],
+  excludeKeywords: []
+};
+
+// Score 0-100 for how cleanly a draft's fields were detected
+function getParseConfidence(data) {
+  const sources = data.sources || {};
+  const detected = {
+    rankRange: Boolean(data.rankRange),
+    teamSize: Boolean(data.teamSize) && data.teamSize !== 'Not detected',
+    mode: true,
+    registration: Boolean(data.registration)
+  };
+
+  let score = 0;
+  for (const [field, weight] of Object.entries(CONFIDENCE_WEIGHTS)) {
+    if (detected[field]) score += weight * (SOURCE_CONFIDENCE[sources[field]] ?? 0);
+  }
+  return Math.round(score);
+}
+
+// Check a draft against the server's auto-approve rules
+function matchAutoApproveRules(data, config) {
+  const rules = { ...DEFAULT_AUTO_APPROVE, ...config.autoApprove };
+  if (!rules.enabled) return { matched: false, reason: 'Auto-approve is off' };
+
+  // With a quorum, several reviewers have to agree before anyone gets pinged
+  const quorum = config.approvalQuorum || 1;
+  if (quorum > 1) return { matched: false, reason: `Approval quorum of ${quorum} is on` };
+
+  // Announcements cannot be rendered without a rank range, whatever the required fields say
+  if (!data.rankRange) return { matched: false, reason: 'No rank range detected' };
+  if (data.cancelled || data.registrationClosed) return { matched: false, reason: 'Topic is cancelled or closed' };
+
+  const confidence = getParseConfidence(data);
+  if (confidence < rules.minConfidence) {
+    return { matched: false, reason: `Confidence ${confidence}% is below ${rules.minConfidence}%` };
+  }
+
+  const fieldChecks = {
+    rank: Boolean(data.rankRange),
+    format: Boolean(data.teamSize) && data.teamSize !== 'Not detected',
+    mode: data.sources?.mode && data.sources.mode !== 'default',
+    registration: Boolean(data.registration)
+  };
+  const missing = rules.requiredFields.filter(field => !fieldChecks[field]);
+  if (missing.length > 0) return { matched: false, reason: `Missing ${missing.join(', ')}` };
+
+  if (rules.modes.length > 0 && !rules.modes.includes(data.mode || 'osu')) {
+    return { matched: false, reason: `${GAME_MODES[data.mode || 'osu']} is not auto-approved` };
+  }
+
+  const pings = getRolesToPing(data, config).length;
+  if (pings > rules.maxPings) return { matched: false, reason: `Would ping ${pings} roles (max ${rules.maxPings})` };
+
+  const title = data.name.toLowerCase();
+  const blocked = rules.excludeKeywords.find(keyword => title.includes(keyword.toLowerCase()));
+  if (blocked) return { matched: false, reason: `Title contains "${blocked}"` };
+  if (rules.includeKeywords.length > 0 && !rules.includeKeywords.some(keyword => title.includes(keyword.toLowerCase()))) {
+    return { matched: false, reason: 'Title has none of the required keywords' };
+  }
+
+  return { matched: true, reason: `Confidence ${confidence}%` };
+}
+
+// Reviewable draft fields as display strings, used for audit diffs
+function getAuditSnapshot(data) {
+  let rank = 'Not detected';
+  if (data.rankRange) {
+    rank = data.rankRange.isOpen ? 'Open Rank' : `${data.rankRange.min.toLocaleString()}-${data.rankRange.max.toLocaleString()}`;
+  }
+
+  return {
+    Name: data.name,
+    Mode: GAME_MODES[data.mode || 'osu'],
+    Rank: rank,
+    'Team Size': data.teamSize,
+    BWS: data.bws ? 'Yes' : 'No',
+    Registration: formatRegistrationInput(data.registration) || 'None',
+    Starts: data.startsAt ? `${formatUtcDate(data.startsAt)} UTC` : 'None',
+    Region: formatRestriction(data.restriction) || 'None',
+    Banner: data.banner || 'None',
+    Comments: data.comments || 'None'
+  };
+}
+
+// Edits after someone approved invalidate their votes
+function resetApprovalsOnChange(data, before) {
+  if (data.approvals?.length && diffAuditSnapshots(before, getAuditSnapshot(data)).length > 0) {
+    data.approvals = [];
+  }
+}
+
+// Fields that differ between two snapshots
+function diffAuditSnapshots(before, after) {
+  if (!before) return [];
+  return Object.keys(after)
+    .filter(field => (before[field] ?? 'None') !== after[field]) // Fields added later count as 'None'
+    .map(field => ({ field, before: before[field] ?? 'None', after: after[field] }));
+}
+
+// Label shown next to a parsed value in the draft embed
+function formatSource(source) {
+  if (source === 'post') return ' *(forum post)*';
+  if (source === 'title') return ' *(title)*';
+  if (source === 'manual') return ' *(edited)*';
+  if (source === 'default') return ' *(default)*';
+  return '';
+}
+
+// Create draft embed
+function createDraftEmbed(data, config) {
+  const rankText = data.rankRange 
+    ? (data.rankRange.isOpen ? 'Open Rank' : `${data.rankRange.min.toLocaleString()} - ${data.rankRange.max.toLocaleString()}`)
+    : 'Not detected';
+
+  const rankRoles = getRolesToPing(data, config);
+  const rolesText = rankRoles.length > 0 ? rankRoles.map(r => `@${r}`).join(', ') : 'None';
+
+  let description = '';
+  if (data.cancelled) description += '⚠️ **The topic title says this tournament was cancelled.**\n\n';
+  description += `**Name:** ${data.name}\n`;
+  description += `**Link:** ${data.link}\n`;
+  const sources = data.sources || {};
+  description += `**Mode:** ${GAME_MODES[data.mode || 'osu']}${formatSource(sources.mode)}\n`;
+  description += `**Rank Range:** ${rankText}${formatSource(sources.rankRange)}\n`;
+  description += `**Team Size:** ${data.teamSize}${formatSource(sources.teamSize)}\n`;
+  description += `**BWS:** ${data.bws ? 'Yes (badge-weighted seeding)' : 'No'}${formatSource(sources.bws)}\n`;
+  description += `**Registration:** ${formatRegistration(data.registration) || 'Not detected'}${formatSource(sources.registration)}\n`;
+  if (data.startsAt) description += `**Starts:** <t:${Math.floor(Date.parse(data.startsAt) / 1000)}:f>${formatSource(sources.startsAt)}\n`;
+  if (data.restriction) description += `**Restriction:** 🌍 ${formatRestriction(data.restriction)}${formatSource(sources.restriction)}\n`;
+  if (data.registrationClosed) description += '🔒 **Registrations closed**\n';
+  if (data.banner) description += `**Banner:** Found ✓\n`;
+  if (data.comments) description += `\n**Additional Info:**\n${data.comments}`;
+  description += `\n\n**Will ping:** ${rolesText}`;
+  description += `\n**Confidence:** ${getParseConfidence(data)}%`;
+  if (config?.autoApprove?.enabled) {
+    const autoApproval = matchAutoApproveRules(data, config);
+    if (!autoApproval.matched) description += ` · Not auto-approved: ${autoApproval.reason}`;
+    else if (data.autoApproveSkipped) description += ` · Not auto-approved: ${data.autoApproveSkipped}`;
   }
+  const quorum = config?.approvalQuorum || 1;
+  if (quorum > 1) {
+    const voters = (data.approvals || []).map(vote => `<@${vote.userId}>`).join(', ');
+    description += `\n**Approvals:** ${data.approvals?.length || 0}/${quorum}${voters ? ` (${voters})` : ''}`;
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor('#FF66AA')
+    .setTitle('🎮 Tournament Draft')
+    .setDescription(description)
+    .setTimestamp();
+  
+  if (data.banner) embed.setImage(data.banner);
+
+  return embed;
+}
+
+// Create action buttons (plus the game mode picker)
+function createActionButtons(tournamentId, data) {
+  const row1 = new ActionRowBuilder()
+    .addComponents(
+      new ButtonBuilder()
+        .setCustomId(`approve_${tournamentId}`)
+        .setLabel('✅ Approve & Send')
+        .setStyle(ButtonStyle.Success),
+      new ButtonBuilder()
+        .setCustomId(`schedule_${tournamentId}`)
+        .setLabel('🕒 Approve & Schedule')
+        .setStyle(ButtonStyle.Success),
+      new ButtonBuilder()
+        .setCustomId(`deny_${tournamentId}`)
+        .setLabel('❌ Deny')
+        .setStyle(ButtonStyle.Danger)
+    );
+  
+  const row2 = new ActionRowBuilder()
+    .addComponents(
+      new ButtonBuilder()
+        .setCustomId(`edit_${tournamentId}`)
+        .setLabel('✏️ Edit Details')
+        .setStyle(ButtonStyle.Primary),
+      new ButtonBuilder()
+        .setCustomId(`banner_${tournamentId}`)
+        .setLabel('🖼️ Banner & Start')
+        .setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder()
+        .setCustomId(`bws_${tournamentId}`)
+        .setLabel(data?.bws ? '🏅 BWS: On' : '🏅 BWS: Off')
+        .setStyle(ButtonStyle.Secondary)
+    );
+
+  // Lets reviewers drop a wrongly detected restriction
+  if (data?.restriction) {
+    row2.addComponents(
+      new ButtonBuilder()
+        .setCustomId(`region_${tournamentId}`)
+        .setLabel('🌍 Not restricted')
+        .setStyle(ButtonStyle.Secondary)
+    );
+  }
+
+  const currentMode = data?.mode || 'osu';
+  const row3 = new ActionRowBuilder()
+    .addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId(`mode_${tournamentId}`)
+        .setPlaceholder('Game mode')
+        .addOptions(Object.entries(GAME_MODES).map(([value, label]) => ({
+          label,
+          value,
+          default: value === currentMode
+        })))
+    );
+
+  return [row1, row2, row3];
+}
+
+// Per-user eligibility: is the user's rank in the tournament's mode inside its rank range?
+function isUserEligible(user, data) {
+  const mode = data.mode || 'osu';
+  if (user.modes?.length && !user.modes.includes(mode)) return false;
+  if (!data.rankRange) return false;
+  if (data.rankRange.isOpen) return true;
+
+  const rank = user.ranks?.[mode];
+  if (!rank) return false; // Unranked in this mode
+
+  // Badges push the effective rank down in BWS tournaments
+  const effectiveRank = data.bws && user.badges ? getBwsRank(rank, user.badges) : rank;
+  return effectiveRank >= data.rankRange.min && effectiveRank <= data.rankRange.max;
+}
+
+// Fetch current global ranks for up to 50 osu! users at once: osuId -> { username, ranks }
+async function fetchOsuRanks(osuIds) {
+  const data = await osuApiGet('/users', { ids: osuIds });
+  const result = new Map();
+
+  for (const osuUser of data.users || []) {
+    const ranks = {};
+    for (const mode of Object.keys(GAME_MODES)) {
+      ranks[mode] = osuUser.statistics_rulesets?.[mode]?.global_rank || null;
+    }
+    result.set(String(osuUser.id), { username: osuUser.username, ranks });
+  }
+
+  return result;
+}
+
+// Tournament badge count of one osu! user (the batch /users lookup leaves badges out)
+async function fetchOsuBadgeCount(osuId) {
+  const osuUser = await osuApiGet(`/users/${osuId}`, { key: 'id' });
+  return countTournamentBadges(osuUser.badges || []);
+}
+
+// Refresh ranks and badges of linked users that haven't been updated for RANK_REFRESH_HOURS
+async function refreshLinkedUsers() {
+  const cutoff = Date.now() - RANK_REFRESH_HOURS * 3600000;
+  const stale = [...linkedUsers.values()].filter(user => !user.updatedAt || Date.parse(user.updatedAt) < cutoff);
+  if (stale.length === 0) return;
+
+  for (let i = 0; i < stale.length; i += 50) {
+    const batch = stale.slice(i, i + 50);
+    try {
+      const ranks = await fetchOsuRanks(batch.map(user => user.osuId));
+      for (const user of batch) {
+        const fresh = ranks.get(String(user.osuId));
+        if (!fresh) continue;
+        user.username = fresh.username;
+        user.ranks = fresh.ranks;
+        try {
+          user.badges = await fetchOsuBadgeCount(user.osuId);
+        } catch (error) {
+          // Keep the old count; ranks matter more than badges
+          console.error(`Error refreshing badges of osu! user ${user.osuId}:`, error.message);
+        }
+        user.updatedAt = new Date().toISOString();
+      }
+    } catch (error) {
+      console.error('Error refreshing linked osu! ranks:', error.message);
+      return;
+    }
+  }
+
+  saveLinkedUsers();
+  console.log(`🔄 Refreshed ranks and badges for ${stale.length} linked osu! profiles`);
+}
+
+// DM linked members of a guild who opted in and can actually enter the tournament
+async function sendEligibilityDms(data, guild, announcement) {
+  let sent = 0;
+
+  for (const [userId, user] of linkedUsers) {
+    if (!user.dmAlerts || user.muted) continue;
+    if (user.notifiedLinks?.includes(data.link)) continue; // Already told about it from another server
+    if (!isUserEligible(user, data)) continue;
+
+    try {
+      await guild.members.fetch(userId);
+    } catch (error) {
+      continue; // Not a member of this server
+    }
+
+    try {
+      const discordUser = await client.users.fetch(userId);
+      const intro = `🎯 A tournament you can enter was just announced in **${guild.name}**:`;
+      await discordUser.send(announcement.embed
+        ? { content: intro, embeds: [announcement.embed] }
+        : { content: `${intro}\n\n${announcement.body}`.substring(0, 2000), allowedMentions: { parse: [] } });
+
+      user.notifiedLinks = [...(user.notifiedLinks || []), data.link].slice(-200);
+      sent++;
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    } catch (error) {
+      console.error(`Could not DM user ${userId}:`, error.message);
+    }
+  }
+
+  if (sent > 0) {
+    saveLinkedUsers();
+    console.log(`📬 Sent ${sent} tournament DM(s) for ${data.name}`);
+  }
+}
+
+// Turn role keys into role mentions
+function formatMentions(rankRoles, config) {
+  return rankRoles
+    .map(role => config.roles[role])
+    .filter(roleId => roleId)
+    .map(roleId => `<@&${roleId}>`)
+    .join(' ');
+}
+
+// Placeholders available in announcement templates
+const TEMPLATE_PLACEHOLDERS = {
+  pings: 'Role mentions for the matching rank buckets',
+  name: 'Tournament name',
+  link: 'Forum post link',
+  mode: 'Game mode',
+  format: 'Team size / format',
+  rank: 'Rank range (with "(BWS)" when badge-weighted)',
+  bws: '"BWS" when badge-weighted, empty otherwise',
+  region: 'Region/country restriction ("Europe only")',
+  registration: 'Registration period',
+  opens: 'Registration opening time',
+  closes: 'Registration closing time',
+  deadline: 'Time until registration closes ("in 3 days")',
+  host: 'Host from the forum post',
+  status: 'Cancelled / registrations closed notice',
+  comments: 'Reviewer comments',
+  banner: 'Banner image URL'
+};
+
+// Starting point for /template edit (close to the built-in announcement)
+const DEFAULT_ANNOUNCEMENT_TEMPLATE = {
+  format: 'embed',
+  content: '{pings}',
+  title: '{name}',
+  body: '## {status}\n### Forum Post\n{link}\n\n**Mode:** {mode}\n**Format:** {format}\n**Rank:** {rank}\n**Region:** {region}\n**Registration:** {registration}\n**Host:** {host}\n\n{comments}',
+  color: '#3b82f6',
+  footer: ''
+};
+
+// Values for every template placeholder ("" when a field is missing)
+function getTemplateValues(data, mentions) {
+  const rankDisplay = data.rankRange.isOpen
+    ? 'Open Rank'
+    : `${data.rankRange.min.toLocaleString()}-${data.rankRange.max.toLocaleString()}`;
+  const timestamp = (iso, style) => iso ? `<t:${Math.floor(Date.parse(iso) / 1000)}:${style}>` : '';
+
+  let status = '';
+  if (data.cancelled) status = '❌ This tournament has been cancelled';
+  else if (data.registrationClosed) status = '🔒 Registrations are closed';
+
+  return {
+    pings: mentions,
+    name: data.name,
+    link: data.link,
+    mode: GAME_MODES[data.mode || 'osu'],
+    format: data.teamSize,
+    rank: `${rankDisplay}${data.bws ? ' (BWS)' : ''}`,
+    bws: data.bws ? 'BWS' : '',
+    region: formatRestriction(data.restriction) || '',
+    registration: formatRegistration(data.registration) || '',
+    opens: timestamp(data.registration?.opens, 'f'),
+    closes: timestamp(data.registration?.closes, 'f'),
+    deadline: timestamp(data.registration?.closes, 'R'),
+    host: data.host || '',
+    status,
+    comments: data.comments || '',
+    banner: data.banner || ''
+  };
+}
+
+// Fill {placeholders}; a line whose placeholders are all empty is left out
+function fillTemplate(text, values) {
+  if (!text) return '';
+
+  return text
+    .split('\n')
+    .filter(line => {
+      const keys = [...line.matchAll(/\{(\w+)\}/g)].map(match => match[1]).filter(key => key in values);
+      return keys.length === 0 || keys.some(key => values[key]);
+    })
+    .map(line => line.replace(/\{(\w+)\}/g, (match, key) => key in values ? values[key] : match))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Render a server's custom announcement template
+function renderAnnouncementTemplate(template, data, mentions) {
+  const values = getTemplateValues(data, mentions);
+  const content = fillTemplate(template.content ?? '{pings}', values);
+  const body = fillTemplate(template.body, values);
+
+  if (template.format === 'text') {
+    return {
+      content: [content, body].filter(Boolean).join('\n').substring(0, 2000),
+      embed: null,
+      body: body.substring(0, 2000)
+    };
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor(data.cancelled ? '#6B7280' : (template.color || '#3b82f6'))
+    .setTitle(fillTemplate(template.title || '{name}', values).substring(0, 256) || data.name)
+    .setFooter({ text: fillTemplate(template.footer, values).substring(0, 2048) || `Bot by ${BOT_CREATOR}` });
+
+  if (body) embed.setDescription(body.substring(0, 4096));
+  if (data.banner) embed.setImage(data.banner);
+
+  return { content, embed, body: null };
+}
+
+// Build the message payload for an announcement (embed or plain text)
+function getAnnouncementPayload(announcement) {
+  return { content: announcement.content, embeds: announcement.embed ? [announcement.embed] : [] };
+}
+
+// Format final announcement (the server's template when it has one)
+function formatAnnouncement(data, rankRoles, config) {
+  const mentions = formatMentions(rankRoles, config);
+
+  if (config.announcementTemplate) {
+    return renderAnnouncementTemplate(config.announcementTemplate, data, mentions);
+  }
+
+  const rankDisplay = data.rankRange.isOpen 
+    ? 'Open Rank' 
+    : `${data.rankRange.min.toLocaleString()}-${data.rankRange.max.toLocaleString()}`;
+  
+  let description = '';
+  if (data.cancelled) description += '## ❌ This tournament has been cancelled\n';
+  description += `### Forum Post\n${data.link}\n\n`;
+  description += `**Mode:** ${GAME_MODES[data.mode || 'osu']}\n`;
+  description += `**Format:** ${data.teamSize}\n**Rank:** ${rankDisplay}${data.bws ? ' (BWS)' : ''}`;
+  if (data.restriction) description += `\n**Region:** ${formatRestriction(data.restriction)}`;
+
+  const registrationText = formatRegistration(data.registration);
+  if (registrationText) description += `\n**Registration:** ${registrationText}`;
+  if (data.registrationClosed && !data.cancelled) description += '\n🔒 **Registrations are closed**';
+  
+  if (data.comments) {
+    const formattedComments = data.comments
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line.length > 0)
+      .map(line => `-# ${line}`)
+      .join('\n');
+    description += `\n\n${formattedComments}`;
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor(data.cancelled ? '#6B7280' : '#3b82f6')
+    .setTitle(data.name)
+    .setDescription(description)
+    .setFooter({ text: `Bot by ${BOT_CREATOR}` });
+  
+  if (data.banner) embed.setImage(data.banner);
+
+  return { content: mentions, embed, body: null };
+}
+
+// Schedule a "registration closing soon" reminder for an approved tournament
+function scheduleRegistrationReminder(data, rankRoles, config) {
+  const hours = config.reminderHours ?? DEFAULT_REMINDER_HOURS;
+  if (!hours || !data.registration?.closes) return null;
+
+  const closesAt = Date.parse(data.registration.closes);
+  if (closesAt <= Date.now()) return null;
+
+  // Approved inside the reminder window: remind right away
+  const remindAt = Math.max(closesAt - hours * 3600000, Date.now());
+
+  const reminder = {
+    guildId: data.guildId,
+    channelId: config.announcementChannelId,
+    name: data.name,
+    link: data.link,
+    closes: data.registration.closes,
+    remindAt: new Date(remindAt).toISOString(),
+    roles: rankRoles,
+    attempts: 0
+  };
+
+  scheduledReminders.push(reminder);
+  saveScheduledReminders();
+  console.log(`⏰ Reminder scheduled for ${data.name} at ${reminder.remindAt}`);
+  if (remindAt <= Date.now()) {
+    sendDueReminders().catch(error => console.error('Error sending reminders:', error.message));
+  }
+  return reminder;
+}
+
+// Send every reminder that is due (runs every minute)
+async function sendDueReminders() {
+  if (remindersRunning) return; // The timer and a new approval can overlap
+  remindersRunning = true;
+  try {
+    await deliverDueReminders();
+  } finally {
+    remindersRunning = false;
+  }
+}
+
+// Send due reminders; failed ones are retried with a growing delay
+async function deliverDueReminders() {
+  const now = Date.now();
+  const due = scheduledReminders.filter(r => Date.parse(r.remindAt) <= now);
+  if (due.length === 0) return;
+
+  const finished = [];
+  for (const reminder of due) {
+    try {
+      const config = serverConfigs.get(reminder.guildId);
+      const closesAt = Date.parse(reminder.closes);
+
+      // Skip reminders for guilds that were removed or deadlines that already passed
+      if (config && closesAt > now) {
+        const channel = await client.channels.fetch(reminder.channelId);
+        const embed = new EmbedBuilder()
+          .setColor('#F59E0B')
+          .setTitle(`⏰ Registration closing soon: ${reminder.name}`)
+          .setDescription(
+            `Registrations close <t:${Math.floor(closesAt / 1000)}:R> (<t:${Math.floor(closesAt / 1000)}:f>).\n\n` +
+            `### Forum Post\n${reminder.link}`
+          )
+          .setFooter({ text: `Bot by ${BOT_CREATOR}` });
+
+        await channel.send({ content: formatMentions(reminder.roles, config), embeds: [embed] });
+        console.log(`⏰ Sent registration reminder for ${reminder.name}`);
+      }
+      finished.push(reminder);
+    } catch (error) {
+      reminder.attempts = (reminder.attempts || 0) + 1;
+      if (reminder.attempts >= REMINDER_MAX_ATTEMPTS) {
+        console.error(`❌ Giving up on the reminder for ${reminder.name} after ${reminder.attempts} attempts:`, error.message);
+        finished.push(reminder);
+      } else {
+        reminder.remindAt = new Date(now + 2 ** reminder.attempts * 60000).toISOString();
+        console.error(`Error sending reminder for ${reminder.name} (retrying at ${reminder.remindAt}):`, error.message);
+      }
+    }
+  }
+
+  scheduledReminders = scheduledReminders.filter(r => !finished.includes(r));
+  saveScheduledReminders();
+}
+
+// Check whether a time falls in a server's quiet hours
+function isQuietTime(time, publishing) {
+  const { quietStart, quietEnd } = publishing;
+  if (quietStart === null || quietEnd === null || quietStart === quietEnd) return false;
+
+  const hour = new Date(time + publishing.utcOffsetMinutes * 60000).getUTCHours();
+  return quietStart < quietEnd
+    ? hour >= quietStart && hour < quietEnd
+    : hour >= quietStart || hour < quietEnd;
+}
+
+// Move a time forward until it is outside quiet hours
+function skipQuietHours(time, publishing) {
+  for (let i = 0; i < 24 && isQuietTime(time, publishing); i++) {
+    time = (Math.floor(time / 3600000) + 1) * 3600000; // Start of the next hour
+  }
+  return time;
+}
+
+// Estimated publish time of every queued announcement, in queue order
+function estimatePublishTimes(guildId) {
+  const config = serverConfigs.get(guildId);
+  const publishing = { ...DEFAULT_PUBLISHING, ...config?.publishing };
+  const queue = getPublishQueue(guildId);
+  const spacing = publishing.spacingMinutes * 60000;
+
+  let time = Math.max(Date.now(), queue.lastPublishedAt ? Date.parse(queue.lastPublishedAt) + spacing : 0);
+  return queue.items.map(item => {
+    time = skipQuietHours(Math.max(time, item.notBefore ? Date.parse(item.notBefore) : 0), publishing);
+    const estimate = time;
+    time += spacing;
+    return estimate;
+  });
+}
+
+// Parse a schedule time: empty/"next" (next free slot), "in 2h", "18:30", or a date ("Oct 20 18:00 UTC+2")
+// Returns null for the next slot, a timestamp, or NaN when it cannot be read
+function parseScheduleTime(text, utcOffsetMinutes) {
+  const value = (text || '').trim();
+  if (!value || /^next(\s*slot)?$/i.test(value)) return null;
+
+  const relativeMatch = value.match(/^in\s+(\d+(?:\.\d+)?)\s*(m|mins?|minutes?|h|hrs?|hours?|d|days?)$/i);
+  if (relativeMatch) {
+    const unit = relativeMatch[2][0].toLowerCase();
+    const unitMs = unit === 'm' ? 60000 : unit === 'h' ? 3600000 : 86400000;
+    return Date.now() + parseFloat(relativeMatch[1]) * unitMs;
+  }
+
+  const offset = /\b(utc|gmt)\b/i.test(value) ? parseTimezoneOffset(value) : utcOffsetMinutes;
+  const parts = parseDateParts(value);
+
+  // Only a time: today in the server's timezone, or tomorrow if that has passed
+  if (parts.month === null && parts.hour !== null && !/\d{1,2}(st|nd|rd|th)\b/i.test(value)) {
+    const local = new Date(Date.now() + offset * 60000);
+    let time = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate(), parts.hour, parts.minute) - offset * 60000;
+    if (time <= Date.now()) time += 86400000;
+    return time;
+  }
+
+  const iso = datePartsToIso(parts, offset, false);
+  return iso ? Date.parse(iso) : NaN;
+}
+
+// Add an approved draft to the server's publish queue
+function enqueueAnnouncement(tournamentId, data, notBefore, user) {
+  const queue = getPublishQueue(data.guildId);
+  const item = {
+    id: `${Date.now().toString(36)}${Math.random().toString(36).substring(2, 6)}`,
+    tournamentId,
+    data,
+    notBefore: notBefore ? new Date(notBefore).toISOString() : null,
+    queuedBy: user.tag,
+    queuedAt: new Date().toISOString(),
+    attempts: 0
+  };
+  queue.items.push(item);
+  savePublishQueues();
+  return item;
+}
+
+// Publish the next due announcement of every server (runs every 30 seconds)
+async function drainPublishQueues() {
+  if (queueDrainRunning) return; // The timer and a new schedule can overlap
+  queueDrainRunning = true;
+  try {
+    await drainDueAnnouncements();
+  } finally {
+    queueDrainRunning = false;
+  }
+}
+
+// Publish at most one due announcement per server
+async function drainDueAnnouncements() {
+  const now = Date.now();
+
+  for (const [guildId, queue] of publishQueues) {
+    const config = serverConfigs.get(guildId);
+    if (!config || queue.items.length === 0) continue;
+
+    const publishing = { ...DEFAULT_PUBLISHING, ...config.publishing };
+    if (isQuietTime(now, publishing)) continue;
+    if (queue.lastPublishedAt && now < Date.parse(queue.lastPublishedAt) + publishing.spacingMinutes * 60000) continue;
+
+    // First item in queue order whose requested time has come (and is not waiting to retry)
+    const item = queue.items.find(queued =>
+      (!queued.notBefore || Date.parse(queued.notBefore) <= now) &&
+      (!queued.retryAt || Date.parse(queued.retryAt) <= now)
+    );
+    if (!item) continue;
+
+    queueItemsPublishing.add(item.id);
+    try {
+      const { announcement, announcementMessage } = await publishTournament(item.data, config, { approvedBy: item.queuedBy });
+      queue.items = queue.items.filter(queued => queued !== item);
+      savePublishQueues();
+      console.log(`🕒 Published queued announcement: ${item.data.name}`);
+
+      try {
+        const channel = await client.channels.fetch(item.data.channelId);
+        const message = await channel.messages.fetch(item.data.messageId);
+        await message.edit({ content: `✅ **Published from the queue:** ${announcementMessage.url}`, embeds: [], components: [] });
+      } catch (error) {
+        // The queued draft message was deleted; nothing to update
+      }
+
+      const guild = client.guilds.cache.get(guildId);
+      if (guild) await sendEligibilityDms(item.data, guild, announcement);
+    } catch (error) {
+      item.attempts = (item.attempts || 0) + 1;
+      console.error(`Error publishing queued announcement for ${item.data.name}:`, error.message);
+
+      if (item.attempts >= QUEUE_MAX_ATTEMPTS || !item.data.rankRange) {
+        // Back to a normal draft (like /queue cancel) so it can be fixed and approved again
+        queue.items = queue.items.filter(queued => queued !== item);
+        const data = { ...item.data, approvals: [] };
+        draftData.set(item.tournamentId, data);
+        saveDrafts();
+        markTournamentProcessed(guildId, data.link, 'drafted');
+        saveProcessedTournaments();
+        try {
+          await renderDraft(item.tournamentId, data);
+          const channel = await client.channels.fetch(config.draftChannelId);
+          await channel.send(`⚠️ Gave up publishing **${data.name}** after ${item.attempts} attempt(s) (${error.message}). It is back in review as a draft.`);
+        } catch (notifyError) {
+          console.error('Error reporting failed announcement:', notifyError.message);
+        }
+      } else {
+        item.retryAt = new Date(now + 2 ** item.attempts * QUEUE_RETRY_BASE_MS).toISOString();
+      }
+      savePublishQueues();
+    } finally {
+      queueItemsPublishing.delete(item.id);
+    }
+  }
+}
+
+// Message shown in place of a draft that can no longer be reviewed
+function createExpiredDraftMessage(reason) {
+  return {
+    content: `⌛ **Draft no longer available** - ${reason}\n` +
+             'Open the forum link and post it manually if it should still be announced.',
+    components: []
+  };
+}
+
+// Post a draft message, or refresh it if it already exists
+async function renderDraft(tournamentId, data) {
+  const config = serverConfigs.get(data.guildId);
+  const channel = await client.channels.fetch(data.channelId || config.draftChannelId);
+  const message = {
+    content: '',
+    embeds: [createDraftEmbed(data, config)],
+    components: createActionButtons(tournamentId, data)
+  };
+
+  if (data.messageId) {
+    try {
+      const existing = await channel.messages.fetch(data.messageId);
+      await existing.edit(message);
+      return;
+    } catch (error) {
+      // The draft message was deleted; post it again below
+      console.log(`Draft message for ${data.name} is gone, posting it again`);
+    }
+  }
+
+  const sent = await channel.send(message);
+  data.messageId = sent.id;
+  data.channelId = channel.id;
+  draftData.set(tournamentId, data);
+  saveDrafts();
+}
+
+// Re-render drafts left over from the last run (including ones a crash never posted)
+async function restoreDrafts() {
+  for (const [tournamentId, data] of draftData) {
+    if (!serverConfigs.has(data.guildId)) {
+      draftData.delete(tournamentId);
+      continue;
+    }
+
+    try {
+      await renderDraft(tournamentId, data);
+    } catch (error) {
+      console.error(`Error restoring draft for ${data.name}:`, error.message);
+    }
+  }
+
+  saveDrafts();
+  await expireOldDrafts();
+}
+
+// Close drafts nobody reviewed within DRAFT_EXPIRY_DAYS
+async function expireOldDrafts() {
+  const cutoff = Date.now() - DRAFT_EXPIRY_DAYS * 86400000;
+  let expired = 0;
+
+  for (const [tournamentId, data] of draftData) {
+    if (!data.createdAt || Date.parse(data.createdAt) > cutoff) continue;
+
+    try {
+      const channel = await client.channels.fetch(data.channelId);
+      const message = await channel.messages.fetch(data.messageId);
+      await message.edit(createExpiredDraftMessage(`it was not reviewed within ${DRAFT_EXPIRY_DAYS} days.`));
+    } catch (error) {
+      console.error(`Error expiring draft for ${data.name}:`, error.message);
+    }
+
+    draftData.delete(tournamentId);
+    expired++;
+  }
+
+  if (expired > 0) {
+    saveDrafts();
+    console.log(`⌛ Expired ${expired} old drafts`);
+  }
+}
+
+// Check for new tournaments (for a specific server)
+// topics come from the shared scheduler; without them the cached forum listing is used
+// Returns { topics, drafted, error } describing the scan
+async function checkTournaments(guildId, topics = null) {
+  // /scan, /autoscan and the scheduler can ask at the same time; they share the running scan instead of drafting twice
+  if (scansInFlight.has(guildId)) {
+    console.log(`Scan already running for guild ${guildId}, waiting for it`);
+    return scansInFlight.get(guildId);
+  }
+
+  const scan = scanGuildTournaments(guildId, topics);
+  scansInFlight.set(guildId, scan);
+  try {
+    return await scan;
+  } finally {
+    scansInFlight.delete(guildId);
+  }
+}
+
+// One scan of the forum listing for a server (use checkTournaments, which stops scans from overlapping)
+async function scanGuildTournaments(guildId, topics) {
+  const config = serverConfigs.get(guildId);
+  if (!config) {
+    console.log(`No configuration found for guild ${guildId}`);
+    return null;
+  }
+
+  console.log(`Checking tournaments for guild ${guildId}...`);
+  
+  // Each server gets its own backfill of recent tournaments the first time it scans
+  const isFirstRun = !processedTournaments.get(guildId)?.size;
+  
+  const tournaments = topics || await scrapeTournaments(Infinity);
+  const unprocessed = isFirstRun
+    ? tournaments.slice(0, FIRST_RUN_DRAFTS)
+    : tournaments.filter(t => !isTournamentProcessed(guildId, t.link));
+
+  if (isFirstRun) {
+    // Older listed topics count as seen, or the next scan would draft (and maybe auto-approve) all of them
+    for (const tournament of tournaments.slice(FIRST_RUN_DRAFTS)) {
+      markTournamentProcessed(guildId, tournament.link, 'seen', { title: tournament.title });
+    }
+    saveProcessedTournaments();
+  }
+  const tournamentsToShow = await applyTopicFilters(guildId, unprocessed);
+
+  if (!isFirstRun) {
+    await checkTopicChanges(guildId, tournaments);
+  }
+  
+  if (tournamentsToShow.length === 0) {
+    console.log('No new tournaments to show');
+    return { topics: tournaments.length, drafted: 0, error: lastScrape.error };
+  }
+
+  console.log(`Showing ${tournamentsToShow.length} tournaments`);
+  const channel = await client.channels.fetch(config.draftChannelId);
+
+  // Old topics from the first run always go through review
+  for (const tournament of tournamentsToShow) {
+    await postDraft(guildId, tournament, channel, { autoApprove: !isFirstRun });
+    await new Promise(resolve => setTimeout(resolve, 2000));
+  }
+
+  return { topics: tournaments.length, drafted: tournamentsToShow.length, error: lastScrape.error };
+}
+
+// Check one filter rule against a topic's title and/or first post
+function filterMatches(filter, title, body) {
+  let text = title;
+  if (filter.target === 'body') text = body;
+  if (filter.target === 'both') text = `${title}\n${body}`;
+
+  if (filter.isRegex) {
+    try {
+      return new RegExp(filter.pattern, 'i').test(text);
+    } catch (error) {
+      return false;
+    }
+  }
+  return text.toLowerCase().includes(filter.pattern.toLowerCase());
+}
+
+// Drop topics the server's filters reject; suppressed topics are remembered so they are not checked again
+async function applyTopicFilters(guildId, tournaments) {
+  const config = serverConfigs.get(guildId);
+  const filters = config.filters || [];
+  if (filters.length === 0) return tournaments;
+
+  const excludes = filters.filter(filter => filter.type === 'exclude');
+  const includes = filters.filter(filter => filter.type === 'include');
+  const needsBody = filters.some(filter => filter.target !== 'title');
+
+  const kept = [];
+  for (const tournament of tournaments) {
+    const body = needsBody ? (await getTournamentPost(tournament.link)).body : '';
+
+    let reason = null;
+    const excluded = excludes.find(filter => filterMatches(filter, tournament.title, body));
+    if (excluded) {
+      excluded.suppressed = (excluded.suppressed || 0) + 1;
+      reason = `filter #${excluded.id}`;
+    } else if (includes.length > 0 && !includes.some(filter => filterMatches(filter, tournament.title, body))) {
+      config.filterMisses = (config.filterMisses || 0) + 1;
+      reason = 'no include filter matched';
+    }
+
+    if (!reason) {
+      kept.push(tournament);
+      continue;
+    }
+
+    markTournamentProcessed(guildId, tournament.link, 'filtered', { title: tournament.title });
+    console.log(`🚫 Filtered out (${reason}): ${tournament.title}`);
+  }
+
+  if (kept.length !== tournaments.length) {
+    saveServerConfigs();
+    saveProcessedTournaments();
+  }
+  return kept;
+}
+
+// Compare scanned titles with the ones we stored and apply any changes
+async function checkTopicChanges(guildId, tournaments) {
+  let changed = false;
+
+  for (const topic of tournaments) {
+    const entry = getProcessedEntry(guildId, topic.link);
+    if (!entry || entry.title === topic.title) continue;
+
+    changed = true;
+    if (!entry.title) {
+      // Topics from before titles were stored: remember the title, nothing to compare with
+      entry.title = topic.title;
+      continue;
+    }
+
+    try {
+      await applyTopicChange(guildId, topic, entry);
+    } catch (error) {
+      console.error(`Error applying title change for ${topic.link}:`, error.message);
+    }
+  }
+
+  if (changed) saveProcessedTournaments();
+}
+
+// Update fields that came from the old title (name, rank range, status tags) to match the new one
+// Returns a list of human-readable changes
+function applyTitleToData(data, oldTitle, newTitle) {
+  const changes = [];
+  const status = parseTitleStatus(newTitle);
+
+  if (data.name === oldTitle) {
+    data.name = newTitle;
+  }
+
+  const oldRank = parseRankRange(oldTitle);
+  const newRank = parseRankRange(newTitle);
+  if (newRank && JSON.stringify(newRank) !== JSON.stringify(oldRank) && data.sources?.rankRange !== 'manual' && data.sources?.rankRange !== 'post') {
+    data.rankRange = newRank;
+    data.sources = { ...data.sources, rankRange: 'title' };
+    changes.push('rank range updated');
+  }
+
+  if (status.cancelled && !data.cancelled) changes.push('marked as cancelled');
+  if (status.registrationClosed && !data.registrationClosed) changes.push('registrations marked as closed');
+  data.cancelled = status.cancelled;
+  data.registrationClosed = status.registrationClosed;
+
+  return changes;
+}
+
+// A topic's title changed: update its draft or published announcement and tell the reviewers
+async function applyTopicChange(guildId, topic, entry) {
+  const config = serverConfigs.get(guildId);
+  const oldTitle = entry.title;
+  entry.title = topic.title;
+  console.log(`📝 Topic title changed: "${oldTitle}" → "${topic.title}"`);
+
+  const actions = [];
+
+  // Pending draft: refresh it so the reviewer sees the new title
+  const tournamentId = getTournamentId(guildId, topic.link);
+  const draft = draftData.get(tournamentId);
+  if (draft) {
+    const changes = applyTitleToData(draft, oldTitle, topic.title);
+    draftData.set(tournamentId, draft);
+    saveDrafts();
+    try {
+      await renderDraft(tournamentId, draft);
+      actions.push(`Draft updated${changes.length ? ` (${changes.join(', ')})` : ''}`);
+    } catch (error) {
+      console.error(`Error updating draft for ${topic.link}:`, error.message);
+      actions.push(`Draft could not be updated: ${error.message}`);
+    }
+  }
+
+  // Queued announcement: publish it with the new title
+  const queuedItem = getPublishQueue(guildId).items.find(item => getTopicKey(item.data.link) === getTopicKey(topic.link));
+  if (queuedItem) {
+    const changes = applyTitleToData(queuedItem.data, oldTitle, topic.title);
+    savePublishQueues();
+    actions.push(`Queued announcement updated${changes.length ? ` (${changes.join(', ')})` : ''}`);
+  }
+
+  // Published announcement: edit it in place (embed content is left alone; edits never ping again)
+  if (entry.status === 'approved' && entry.announcement && entry.data) {
+    const changes = applyTitleToData(entry.data, oldTitle, topic.title);
+    const changeText = changes.length ? ` (${changes.join(', ')})` : '';
+    try {
+      const channel = await client.channels.fetch(entry.announcement.channelId);
+      const message = await channel.messages.fetch(entry.announcement.messageId);
+      const rankRoles = getRolesToPing(entry.data, config);
+      const announcement = formatAnnouncement(entry.data, rankRoles, config);
+      if (message.embeds.length > 0 && announcement.embed) {
+        await message.edit({ embeds: [announcement.embed] });
+      } else {
+        await message.edit({ ...getAnnouncementPayload(announcement), allowedMentions: { parse: [] } });
+      }
+      actions.push(`[Announcement](${message.url}) updated${changeText}`);
+    } catch (error) {
+      console.error(`Error editing announcement for ${topic.link}:`, error.message);
+      actions.push(`Announcement could not be edited${changeText}: ${error.message}`);
+    }
+    dispatchWebhooks(guildId, entry.data.cancelled ? 'cancelled' : 'updated', topic.link);
+  }
+
+  // Nothing left to remind people about
+  const status = parseTitleStatus(topic.title);
+  if (status.cancelled || status.registrationClosed) {
+    const before = scheduledReminders.length;
+    scheduledReminders = scheduledReminders.filter(r => !(r.guildId === guildId && getTopicKey(r.link) === getTopicKey(topic.link)));
+    if (scheduledReminders.length !== before) {
+      saveScheduledReminders();
+      actions.push('Registration reminder cancelled');
+    }
+  }
+
+  if (config.notifyTopicChanges === false) return;
+
+  const embed = new EmbedBuilder()
+    .setColor(status.cancelled ? '#EF4444' : '#F59E0B')
+    .setTitle('📝 Tournament topic updated')
+    .setDescription(
+      `**Before:** ${oldTitle}\n` +
+      `**After:** ${topic.title}\n` +
+      `**Link:** ${topic.link}\n\n` +
+      (actions.length > 0 ? actions.map(action => `• ${action}`).join('\n') : '• No draft or announcement to update')
+    )
+    .setTimestamp();
+
+  const draftChannel = await client.channels.fetch(config.draftChannelId);
+  await draftChannel.send({ embeds: [embed] });
+}
+
+// Check whether someone may review drafts and run scans (Administrator or the server's reviewer role)
+function canReview(interaction, config) {
+  if (interaction.memberPermissions?.has(PermissionFlagsBits.Administrator)) return true;
+  if (!config?.reviewerRoleId) return false;
+
+  const roles = interaction.member?.roles;
+  return Boolean(roles?.cache ? roles.cache.has(config.reviewerRoleId) : roles?.includes(config.reviewerRoleId));
+}
+
+// Audit actions: label, emoji and embed colour
+const AUDIT_ACTIONS = {
+  'approve': { label: 'Approved', emoji: '✅', color: '#22C55E' },
+  'deny': { label: 'Denied', emoji: '❌', color: '#EF4444' },
+  'edit': { label: 'Edited', emoji: '✏️', color: '#3B82F6' },
+  'vote': { label: 'Approval vote', emoji: '🗳️', color: '#A855F7' },
+  'schedule': { label: 'Approved and queued', emoji: '🕒', color: '#22C55E' },
+  'unqueue': { label: 'Removed from queue', emoji: '↩️', color: '#F59E0B' },
+  'auto-approve': { label: 'Auto-approved', emoji: '🤖', color: '#22C55E' },
+  'undo': { label: 'Auto-approval undone', emoji: '↩️', color: '#F59E0B' }
+};
+
+// Embed for one audit log entry
+function createAuditEmbed(entry) {
+  const info = AUDIT_ACTIONS[entry.action];
+  const changesText = entry.changes.length > 0
+    ? entry.changes.map(change => `**${change.field}:** ${String(change.before).substring(0, 200)} → ${String(change.after).substring(0, 200)}`).join('\n')
+    : 'No field changes';
+
+  return new EmbedBuilder()
+    .setColor(info.color)
+    .setTitle(`${info.emoji} ${info.label}`)
+    .setDescription(
+      `**Tournament:** [${entry.name}](${entry.link})\n` +
+      `**By:** ${entry.userId ? `<@${entry.userId}>` : entry.userTag}\n\n` +
+      changesText
+    )
+    .setTimestamp(new Date(entry.at));
+}
+
+// Record a review action and mirror it to the server's log channel
+async function recordAudit(guildId, user, action, data, changes = []) {
+  const entry = {
+    at: new Date().toISOString(),
+    action,
+    userId: user?.id || null,
+    userTag: user?.tag || 'Auto-approval',
+    name: data.name,
+    link: data.link,
+    changes
+  };
+
+  const entries = auditLog.get(guildId) || [];
+  entries.push(entry);
+  auditLog.set(guildId, entries.slice(-AUDIT_LOG_MAX_ENTRIES));
+  saveAuditLog();
+
+  const config = serverConfigs.get(guildId);
+  if (!config?.auditChannelId) return;
+
+  try {
+    const channel = await client.channels.fetch(config.auditChannelId);
+    await channel.send({ embeds: [createAuditEmbed(entry)], allowedMentions: { parse: [] } });
+  } catch (error) {
+    console.error('Error posting to audit channel:', error.message);
+  }
+}
+
+// Send the announcement and remember it (shared by the Approve button and auto-approval)
+async function publishTournament(data, config, details = {}) {
+  if (!data.rankRange) throw new Error('The draft has no rank range');
+
+  const rankRoles = getRolesToPing(data, config);
+  const announcement = formatAnnouncement(data, rankRoles, config);
+
+  const announcementChannel = await client.channels.fetch(config.announcementChannelId);
+  const announcementMessage = await announcementChannel.send(getAnnouncementPayload(announcement));
+
+  // Queued announcements keep their spacing after anything published directly
+  getPublishQueue(data.guildId).lastPublishedAt = new Date().toISOString();
+  savePublishQueues();
+
+  scheduleRegistrationReminder(data, rankRoles, config);
+
+  // Keep the message and fields so title changes can update the announcement later
+  markTournamentProcessed(data.guildId, data.link, 'approved', {
+    announcement: { channelId: announcementChannel.id, messageId: announcementMessage.id },
+    data,
+    publishedAt: new Date().toISOString(),
+    ...details
+  });
+  saveProcessedTournaments();
+  dispatchWebhooks(data.guildId, 'approved', data.link);
+
+  return { announcement, announcementMessage };
+}
+
+// Publish a draft that matched the auto-approve rules and leave an Undo message for reviewers
+// topicTitle is the forum title, stored so later scans can tell when it changes
+async function autoApproveTournament(tournamentId, data, config, channel, topicTitle) {
+  const { announcement, announcementMessage } = await publishTournament(data, config, { autoApproved: true, title: topicTitle, approvedBy: 'Auto-approval' });
+  const rankRoles = getRolesToPing(data, config);
+
+  const embed = new EmbedBuilder()
+    .setColor('#22C55E')
+    .setTitle('🤖 Auto-approved')
+    .setDescription(
+      `**Name:** ${data.name}\n` +
+      `**Link:** ${data.link}\n` +
+      `**Confidence:** ${getParseConfidence(data)}%\n` +
+      `**Pinged:** ${rankRoles.length > 0 ? rankRoles.map(r => `@${r}`).join(', ') : 'None'}\n\n` +
+      'Press **Undo** to delete the announcement and review this tournament as a normal draft.'
+    )
+    .setTimestamp();
+
+  const row = new ActionRowBuilder()
+    .addComponents(
+      new ButtonBuilder()
+        .setCustomId(`undo_${tournamentId}`)
+        .setLabel('↩️ Undo')
+        .setStyle(ButtonStyle.Danger),
+      new ButtonBuilder()
+        .setLabel('View announcement')
+        .setStyle(ButtonStyle.Link)
+        .setURL(announcementMessage.url)
+    );
+
+  await channel.send({ embeds: [embed], components: [row] });
+  console.log(`🤖 Auto-approved: ${data.name}`);
+  await recordAudit(data.guildId, null, 'auto-approve', data, diffAuditSnapshots(data.parsed, getAuditSnapshot(data)));
+
+  await sendEligibilityDms(data, channel.guild, announcement);
+}
+
+// Undo an auto-approval: delete the announcement and turn the audit message into a draft
+async function handleUndoAutoApproval(interaction) {
+  const tournamentId = interaction.customId.replace('undo_', '');
+  const guildId = interaction.guild.id;
+
+  if (!canReview(interaction, serverConfigs.get(guildId))) {
+    await interaction.reply({ content: '❌ You need the reviewer role to review tournaments.', ephemeral: true });
+    return;
+  }
+
+  const processed = processedTournaments.get(guildId) || new Map();
+  const entry = [...processed.values()].find(candidate => candidate.link && getTournamentId(guildId, candidate.link) === tournamentId);
+  const link = entry?.link;
+
+  if (!entry || entry.status !== 'approved' || !entry.autoApproved || !entry.data) {
+    await interaction.update({ content: 'ℹ️ This auto-approval was already undone or reviewed.', components: [] });
+    return;
+  }
+
+  try {
+    const channel = await client.channels.fetch(entry.announcement.channelId);
+    const message = await channel.messages.fetch(entry.announcement.messageId);
+    await message.delete();
+  } catch (error) {
+    console.error('Error deleting announcement:', error.message);
+  }
+
+  const before = scheduledReminders.length;
+  scheduledReminders = scheduledReminders.filter(r => !(r.guildId === guildId && getTopicKey(r.link) === getTopicKey(link)));
+  if (scheduledReminders.length !== before) saveScheduledReminders();
+
+  // Retract it from webhooks too (needs the published data, which is cleared below)
+  dispatchWebhooks(guildId, 'cancelled', link);
+
+  const data = { ...entry.data, channelId: interaction.channelId, messageId: interaction.message.id, approvals: [] };
+  draftData.set(tournamentId, data);
+  saveDrafts();
+  markTournamentProcessed(guildId, link, 'drafted', { announcement: null, data: null, autoApproved: false });
+  saveProcessedTournaments();
+
+  const config = serverConfigs.get(guildId);
+  await interaction.update({
+    content: `↩️ Auto-approval undone by ${interaction.user}. The announcement was deleted.`,
+    embeds: [createDraftEmbed(data, config)],
+    components: createActionButtons(tournamentId, data)
+  });
+  console.log(`↩️ Auto-approval of ${data.name} undone by ${interaction.user.tag}`);
+  await recordAudit(guildId, interaction.user, 'undo', data);
+}
+
+// Parse a forum topic and post it as a draft in a server's review channel
+// options.autoApprove publishes it right away when it matches the server's auto-approve rules
+async function postDraft(guildId, tournament, channel, options = {}) {
+  const config = serverConfigs.get(guildId);
+  const post = await getTournamentPost(tournament.link);
+  const details = parseTournamentDetails(tournament.title, post.body);
+  const titleStatus = parseTitleStatus(tournament.title);
+
+  const tournamentId = getTournamentId(guildId, tournament.link);
+  
+  const data = {
+    guildId,
+    name: tournament.title,
+    link: tournament.link,
+    cancelled: titleStatus.cancelled,
+    registrationClosed: titleStatus.registrationClosed,
+    rankRange: details.rankRange,
+    teamSize: details.teamSize,
+    mode: details.mode,
+    registration: details.registration,
+    bws: details.bws,
+    host: details.host,
+    startsAt: details.startsAt,
+    restriction: details.restriction,
+    sources: details.sources,
+    comments: '',
+    banner: post.banner || '',
+    channelId: channel.id,
+    messageId: null,
+    createdAt: new Date().toISOString()
+  };
+  data.parsed = getAuditSnapshot(data); // What the parsers found, for the audit diff on approval
+
+  // Restricted to a region this server is not part of
+  if (config.homeRegions?.length && data.restriction && !data.restriction.unspecified &&
+      !restrictionMatches(data.restriction, config.homeRegions)) {
+    config.regionSkipped = (config.regionSkipped || 0) + 1;
+    saveServerConfigs();
+    markTournamentProcessed(guildId, tournament.link, 'filtered', { title: tournament.title });
+    saveProcessedTournaments();
+    console.log(`🌍 Skipped (${formatRestriction(data.restriction)}): ${tournament.title}`);
+    return;
+  }
+
+  if (matchAutoApproveRules(data, config).matched) {
+    if (options.autoApprove) {
+      await autoApproveTournament(tournamentId, data, config, channel, tournament.title);
+      return;
+    }
+    data.autoApproveSkipped = 'First scans and backfills always go through review';
+  }
+  
+  // Saved before posting so a crash in between is re-rendered on the next start
+  draftData.set(tournamentId, data);
+  saveDrafts();
+
+  const embed = createDraftEmbed(data, config);
+  const buttons = createActionButtons(tournamentId, data);
+
+  const message = await channel.send({ embeds: [embed], components: buttons });
+  data.messageId = message.id;
+  saveDrafts();
+
+  markTournamentProcessed(guildId, tournament.link, 'drafted', { title: tournament.title });
+  saveProcessedTournaments();
+  console.log(`Posted draft for: ${tournament.title}`);
+}
+
+// Draft every topic posted since a date that this server has not drafted yet
+// Returns { found, drafted, truncated }
+async function backfillTournaments(guildId, since) {
+  const config = serverConfigs.get(guildId);
+  const sinceTime = since.getTime();
+
+  // The listing is sorted by latest activity, so once a page ends before the date we can stop
+  const topics = await fetchForumPages(BACKFILL_MAX_PAGES, pageTopics => {
+    const oldest = pageTopics[pageTopics.length - 1];
+    return Boolean(oldest?.lastPostAt) && Date.parse(oldest.lastPostAt) < sinceTime;
+  });
+
+  const candidates = topics.filter(topic => {
+    const postedAt = topic.createdAt || topic.lastPostAt;
+    if (!postedAt || Date.parse(postedAt) < sinceTime) return false;
+    if (draftData.has(getTournamentId(guildId, topic.link))) return false;
+
+    const status = getProcessedEntry(guildId, topic.link)?.status;
+    return !status || status === 'seen';
+  });
+
+  const toDraft = await applyTopicFilters(guildId, candidates.slice(0, BACKFILL_MAX_DRAFTS));
+  const channel = await client.channels.fetch(config.draftChannelId);
+
+  for (const tournament of toDraft) {
+    await postDraft(guildId, tournament, channel);
+    await new Promise(resolve => setTimeout(resolve, 2000));
+  }
+
+  return { found: candidates.length, drafted: toDraft.length, truncated: candidates.length > BACKFILL_MAX_DRAFTS };
+}
+
+// Run one auto-scan for a server and remember when and how it went
+async function runAutoScan(guildId, topics = null) {
+  const config = serverConfigs.get(guildId);
+  if (!config?.autoScan?.enabled) return;
+
+  console.log(`Auto-scan running for guild ${guildId}`);
+  config.autoScan.nextScanAt = new Date(Date.now() + config.autoScan.intervalMinutes * 60000).toISOString();
+
+  let result;
+  try {
+    result = await checkTournaments(guildId, topics);
+  } catch (error) {
+    console.error(`Auto-scan error for guild ${guildId}:`, error.message);
+    result = { topics: 0, drafted: 0, error: error.message };
+  }
+
+  config.autoScan.lastScanAt = new Date().toISOString();
+  config.autoScan.lastResult = result;
+  saveServerConfigs();
+}
+
+// One scheduler tick: scrape the forum once and hand the topics to every server that is due
+async function runScanTick() {
+  if (scanTickRunning) return;
+  scanTickRunning = true;
+
+  try {
+    const now = Date.now();
+    const dueGuilds = [...serverConfigs.values()]
+      .filter(config => config.autoScan?.enabled)
+      .filter(config => !config.autoScan.nextScanAt || Date.parse(config.autoScan.nextScanAt) <= now)
+      .map(config => config.guildId);
+
+    if (dueGuilds.length > 0) {
+      // Follow the pagination until every due server has caught up with what it saw last time
+      const topics = await fetchForumPages(MAX_SCAN_PAGES, pageTopics => isForumPageCaughtUp(pageTopics, dueGuilds));
+      for (const guildId of dueGuilds) {
+        await runAutoScan(guildId, topics);
+      }
+    }
+
+    pruneCaches();
+  } catch (error) {
+    console.error('Scan scheduler error:', error.message);
+  } finally {
+    scanTickRunning = false;
+  }
+}
+
+// Start the shared scan scheduler (auto-scans saved as enabled resume on the first tick)
+function startScanScheduler() {
+  const resumed = [...serverConfigs.values()].filter(config => config.autoScan?.enabled);
+  for (const config of resumed) {
+    console.log(`▶️ Resumed auto-scan for guild ${config.guildId} (every ${config.autoScan.intervalMinutes} minutes)`);
+  }
+
+  scanTimer = setInterval(runScanTick, SCAN_TICK_MS);
+  runScanTick();
+}
+
+// Ping roles members can pick for themselves: [{ key, roleId, label }]
+function getPingRoleOptions(config, guild) {
+  return Object.entries(config.roles)
+    .filter(([, roleId]) => roleId && guild.roles.cache.has(roleId))
+    .map(([key, roleId]) => ({ key, roleId, label: guild.roles.cache.get(roleId).name }))
+    .slice(0, 25); // Discord select menus hold at most 25 options
+}
+
+// Role picker components; 'toggle' is the shared panel, 'set' is a member's own /roles picker
+function createRolePickerComponents(options, mode, activeRoleIds = []) {
+  const select = new StringSelectMenuBuilder()
+    .setCustomId(`rolepicker_${mode}`)
+    .setPlaceholder(mode === 'toggle' ? 'Select pings to turn on or off' : 'Select the pings you want')
+    .setMinValues(mode === 'toggle' ? 1 : 0)
+    .setMaxValues(options.length)
+    .addOptions(options.map(option => ({
+      label: option.label.substring(0, 100),
+      value: option.key,
+      default: activeRoleIds.includes(option.roleId)
+    })));
+
+  const buttons = new ActionRowBuilder()
+    .addComponents(
+      new ButtonBuilder()
+        .setCustomId('rolepicker_show')
+        .setLabel('🔔 My Pings')
+        .setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder()
+        .setCustomId('rolepicker_clear')
+        .setLabel('🔕 Remove All')
+        .setStyle(ButtonStyle.Danger)
+    );
+
+  return [new ActionRowBuilder().addComponents(select), buttons];
+}
+
+// The "pick your pings" panel message
+function createRolePanelMessage(config, guild) {
+  const options = getPingRoleOptions(config, guild);
+  const embed = new EmbedBuilder()
+    .setColor('#FF66AA')
+    .setTitle('🔔 Pick Your Tournament Pings')
+    .setDescription(
+      'Choose which tournaments you want to be pinged for.\n' +
+      'Selecting a role turns it on, selecting it again turns it off.\n\n' +
+      options.map(option => `• <@&${option.roleId}>`).join('\n')
+    )
+    .setFooter({ text: `Bot by ${BOT_CREATOR}` });
+
+  return { embeds: [embed], components: options.length > 0 ? createRolePickerComponents(options, 'toggle') : [] };
+}
+
+// Refresh saved role panels so they list the current ping roles
+async function refreshRolePanels() {
+  for (const config of serverConfigs.values()) {
+    if (!config.rolePanel) continue;
+
+    try {
+      const guild = await client.guilds.fetch(config.guildId);
+      const channel = await client.channels.fetch(config.rolePanel.channelId);
+      const message = await channel.messages.fetch(config.rolePanel.messageId);
+      await message.edit(createRolePanelMessage(config, guild));
+    } catch (error) {
+      console.error(`Error refreshing role panel for guild ${config.guildId}:`, error.message);
+    }
+  }
+}
+
+// Handle role picker selects and buttons (custom IDs don't depend on memory, so they work after restarts)
+async function handleRolePickerInteraction(interaction) {
+  const config = serverConfigs.get(interaction.guild.id);
+  if (!config) {
+    await interaction.reply({ content: '❌ Server not configured. Run `/setup` first.', ephemeral: true });
+    return;
+  }
+
+  const action = interaction.customId.replace('rolepicker_', '');
+  const options = getPingRoleOptions(config, interaction.guild);
+  const member = interaction.member;
+  const selected = interaction.isStringSelectMenu() ? interaction.values : [];
+
+  const toAdd = [];
+  const toRemove = [];
+  for (const option of options) {
+    const hasRole = member.roles.cache.has(option.roleId);
+    const isSelected = selected.includes(option.key);
+
+    if (action === 'toggle' && isSelected) {
+      (hasRole ? toRemove : toAdd).push(option);
+    } else if (action === 'set' && isSelected !== hasRole) {
+      (isSelected ? toAdd : toRemove).push(option);
+    } else if (action === 'clear' && hasRole) {
+      toRemove.push(option);
+    }
+  }
+
+  try {
+    if (toAdd.length > 0) await member.roles.add(toAdd.map(option => option.roleId), 'Tournament ping role picker');
+    if (toRemove.length > 0) await member.roles.remove(toRemove.map(option => option.roleId), 'Tournament ping role picker');
+  } catch (error) {
+    console.error('Role picker error:', error.message);
+    await interaction.reply({ content: '❌ Could not update your roles. The bot\'s role may be below the ping roles.', ephemeral: true });
+    return;
+  }
+
+  const current = options.filter(option =>
+    toAdd.includes(option) || (member.roles.cache.has(option.roleId) && !toRemove.includes(option))
+  );
+
+  let content = '';
+  if (toAdd.length > 0) content += `✅ **Added:** ${toAdd.map(option => `<@&${option.roleId}>`).join(', ')}\n`;
+  if (toRemove.length > 0) content += `➖ **Removed:** ${toRemove.map(option => `<@&${option.roleId}>`).join(', ')}\n`;
+  content += `🔔 **Your pings:** ${current.length > 0 ? current.map(option => `<@&${option.roleId}>`).join(', ') : 'None'}`;
+
+  if (action === 'set') {
+    // The member's own picker: show the new selection
+    await interaction.update({
+      content,
+      components: createRolePickerComponents(options, 'set', current.map(option => option.roleId)),
+      allowedMentions: { parse: [] }
+    });
+  } else {
+    await interaction.reply({ content, ephemeral: true, allowedMentions: { parse: [] } });
+  }
+}
+
+// Handle interactions
+client.on('interactionCreate', async interaction => {
+  try {
+    // Handle slash commands
+    if (interaction.isChatInputCommand()) {
+      if (interaction.commandName === 'setup') {
+        await handleSetupCommand(interaction);
+      } else if (interaction.commandName === 'about') {
+        await handleAboutCommand(interaction);
+      } else if (interaction.commandName === 'scan') {
+        await handleScanCommand(interaction);
+      } else if (interaction.commandName === 'autoscan') {
+        await handleAutoScanCommand(interaction);
+      } else if (interaction.commandName === 'reminders') {
+        await handleRemindersCommand(interaction);
+      } else if (interaction.commandName === 'backfill') {
+        await handleBackfillCommand(interaction);
+      } else if (interaction.commandName === 'topicupdates') {
+        await handleTopicUpdatesCommand(interaction);
+      } else if (interaction.commandName === 'roles') {
+        await handleRolesCommand(interaction);
+      } else if (interaction.commandName === 'webhooks') {
+        await handleWebhooksCommand(interaction);
+      } else if (interaction.commandName === 'feeds') {
+        await handleFeedsCommand(interaction);
+      } else if (interaction.commandName === 'tournaments') {
+        await handleTournamentsCommand(interaction);
+      } else if (interaction.commandName === 'queue') {
+        await handleQueueCommand(interaction);
+      } else if (interaction.commandName === 'reviewer') {
+        await handleReviewerCommand(interaction);
+      } else if (interaction.commandName === 'audit') {
+        await handleAuditCommand(interaction);
+      } else if (interaction.commandName === 'regions') {
+        await handleRegionsCommand(interaction);
+      } else if (interaction.commandName === 'filters') {
+        await handleFiltersCommand(interaction);
+      } else if (interaction.commandName === 'autoapprove') {
+        await handleAutoApproveCommand(interaction);
+      } else if (interaction.commandName === 'template') {
+        await handleTemplateCommand(interaction);
+      } else if (interaction.commandName === 'buckets') {
+        await handleBucketsCommand(interaction);
+      } else if (interaction.commandName === 'link') {
+        await handleLinkCommand(interaction);
+      } else if (interaction.commandName === 'unlink') {
+        await handleUnlinkCommand(interaction);
+      } else if (interaction.commandName === 'alerts') {
+        await handleAlertsCommand(interaction);
+      }
+      return;
+    }
+
+    // Handle modal submission
+    if (interaction.isModalSubmit()) {
+      if (interaction.customId.startsWith('template_modal_')) {
+        await handleTemplateModal(interaction);
+        return;
+      }
+
+      if (interaction.customId.startsWith('schedule_modal_')) {
+        await handleScheduleModal(interaction);
+        return;
+      }
+
+      const isBannerModal = interaction.customId.startsWith('banner_modal_');
+      const tournamentId = interaction.customId.replace(isBannerModal ? 'banner_modal_' : 'edit_modal_', '');
+      const data = draftData.get(tournamentId);
+      
+      if (!data) {
+        await interaction.update(createExpiredDraftMessage('it expired or was already handled.'));
+        return;
+      }
+
+      if (!canReview(interaction, serverConfigs.get(data.guildId))) {
+        await interaction.reply({ content: '❌ You need the reviewer role to review tournaments.', ephemeral: true });
+        return;
+      }
+
+      const before = getAuditSnapshot(data);
+
+      if (isBannerModal) {
+        data.banner = interaction.fields.getTextInputValue('banner_input') || '';
+
+        // Feeds put the start in calendars, so a reviewer can confirm or clear it here
+        const startsStr = interaction.fields.getTextInputValue('starts_input').trim();
+        const previousStart = data.startsAt || null;
+        data.startsAt = startsStr
+          ? datePartsToIso(parseDateParts(startsStr), parseTimezoneOffset(startsStr), false) || previousStart
+          : null;
+        if (data.startsAt !== previousStart) {
+          data.sources = { ...data.sources, startsAt: 'manual' };
+        }
+        resetApprovalsOnChange(data, before);
+        draftData.set(tournamentId, data);
+        saveDrafts();
+
+        const config = serverConfigs.get(data.guildId);
+        await interaction.update({ embeds: [createDraftEmbed(data, config)], components: createActionButtons(tournamentId, data) });
+        console.log(`✅ Draft banner updated by ${interaction.user.tag}`);
+        await recordAudit(data.guildId, interaction.user, 'edit', data, diffAuditSnapshots(before, getAuditSnapshot(data)));
+        return;
+      }
+
+      const previousRank = JSON.stringify(data.rankRange);
+      const previousTeamSize = data.teamSize;
+      const previousRegistration = JSON.stringify(data.registration || null);
+
+      data.name = interaction.fields.getTextInputValue('name_input');
+      
+      const rankRangeStr = interaction.fields.getTextInputValue('rank_range_input').trim();
+      if (/open\s*rank|open|unrestricted|all\s*ranks|no\s*rank/i.test(rankRangeStr)) {
+        data.rankRange = { min: 1, max: 1000000, isOpen: true };
+      } else {
+        const rankParts = rankRangeStr.split('-').map(s => parseInt(s.trim().replace(/,/g, '')));
+        if (rankParts.length === 2 && !isNaN(rankParts[0]) && !isNaN(rankParts[1])) {
+          data.rankRange = { min: rankParts[0], max: rankParts[1], isOpen: false };
+        }
+      }
+      
+      data.teamSize = interaction.fields.getTextInputValue('team_size_input');
+
+      const registrationStr = interaction.fields.getTextInputValue('registration_input').trim();
+      if (!registrationStr) {
+        data.registration = null;
+      } else {
+        data.registration = parseRegistrationText(registrationStr) || data.registration;
+      }
+
+      data.comments = interaction.fields.getTextInputValue('comments_input') || '';
+
+      data.sources = data.sources || {};
+      if (JSON.stringify(data.rankRange) !== previousRank) data.sources.rankRange = 'manual';
+      if (data.teamSize !== previousTeamSize) data.sources.teamSize = 'manual';
+      if (JSON.stringify(data.registration || null) !== previousRegistration) data.sources.registration = 'manual';
+      resetApprovalsOnChange(data, before);
+
+      draftData.set(tournamentId, data);
+      saveDrafts();
+
+      const config = serverConfigs.get(data.guildId);
+      const updatedEmbed = createDraftEmbed(data, config);
+      const buttons = createActionButtons(tournamentId, data);
+
+      await interaction.update({ embeds: [updatedEmbed], components: buttons });
+      console.log(`✅ Draft updated by ${interaction.user.tag}`);
+      await recordAudit(data.guildId, interaction.user, 'edit', data, diffAuditSnapshots(before, getAuditSnapshot(data)));
+      return;
+    }
+
+    // Handle button clicks and the mode picker
+    if (!interaction.isButton() && !interaction.isStringSelectMenu()) return;
+
+    if (interaction.customId.startsWith('rolepicker_')) {
+      await handleRolePickerInteraction(interaction);
+      return;
+    }
+
+    if (interaction.customId.startsWith('tlist:')) {
+      await handleTournamentsPage(interaction);
+      return;
+    }
+
+    if (interaction.customId.startsWith('undo_')) {
+      await handleUndoAutoApproval(interaction);
+      return;
+    }
+
+    const [action, tournamentId] = interaction.customId.split('_');
+    const data = draftData.get(tournamentId);
+    
+    if (!data) {
+      await interaction.update(createExpiredDraftMessage('it expired or was already handled.'));
+      return;
+    }
+
+    const config = serverConfigs.get(data.guildId);
+
+    if (!canReview(interaction, config)) {
+      await interaction.reply({ content: '❌ You need the reviewer role to review tournaments.', ephemeral: true });
+      return;
+    }
+
+    const before = getAuditSnapshot(data);
+
+    if (action === 'region') {
+      data.restriction = null;
+      data.sources = { ...data.sources, restriction: 'manual' };
+      resetApprovalsOnChange(data, before);
+      draftData.set(tournamentId, data);
+      saveDrafts();
+
+      await interaction.update({
+        embeds: [createDraftEmbed(data, config)],
+        components: createActionButtons(tournamentId, data)
+      });
+      console.log(`✅ Draft restriction cleared by ${interaction.user.tag}`);
+
+    } else if (action === 'bws') {
+      data.bws = !data.bws;
+      data.sources = { ...data.sources, bws: 'manual' };
+      resetApprovalsOnChange(data, before);
+      draftData.set(tournamentId, data);
+      saveDrafts();
+
+      await interaction.update({
+        embeds: [createDraftEmbed(data, config)],
+        components: createActionButtons(tournamentId, data)
+      });
+      console.log(`✅ Draft BWS set to ${data.bws} by ${interaction.user.tag}`);
+
+    } else if (action === 'mode') {
+      data.mode = interaction.values[0];
+      data.sources = { ...data.sources, mode: 'manual' };
+      resetApprovalsOnChange(data, before);
+      draftData.set(tournamentId, data);
+      saveDrafts();
+
+      await interaction.update({
+        embeds: [createDraftEmbed(data, config)],
+        components: createActionButtons(tournamentId, data)
+      });
+      console.log(`✅ Draft mode set to ${data.mode} by ${interaction.user.tag}`);
+
+    } else if (action === 'edit') {
+      const modal = new ModalBuilder()
+        .setCustomId(`edit_modal_${tournamentId}`)
+        .setTitle('Edit Tournament Details');
+
+      modal.addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('name_input')
+            .setLabel('Tournament Name')
+            .setStyle(TextInputStyle.Short)
+            .setValue(data.name)
+            .setRequired(true)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('rank_range_input')
+            .setLabel('Rank Range (e.g., 10000-99999 or "open")')
+            .setStyle(TextInputStyle.Short)
+            .setValue(data.rankRange ? (data.rankRange.isOpen ? 'Open Rank' : `${data.rankRange.min}-${data.rankRange.max}`) : '1-999999')
+            .setRequired(true)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('team_size_input')
+            .setLabel('Team Size (e.g., 3v3, 2v2 TS4, 1v1)')
+            .setStyle(TextInputStyle.Short)
+            .setValue(data.teamSize)
+            .setRequired(true)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('registration_input')
+            .setLabel('Registration (e.g., Jan 5 - Jan 19 23:59 UTC)')
+            .setStyle(TextInputStyle.Short)
+            .setValue(formatRegistrationInput(data.registration))
+            .setRequired(false)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('comments_input')
+            .setLabel('Additional Info (host, notes, etc.)')
+            .setStyle(TextInputStyle.Paragraph)
+            .setValue(data.comments || '')
+            .setRequired(false)
+        )
+      );
+
+      await interaction.showModal(modal);
+      
+    } else if (action === 'banner') {
+      // Modals are limited to five fields, so the banner and start date have their own
+      const modal = new ModalBuilder()
+        .setCustomId(`banner_modal_${tournamentId}`)
+        .setTitle('Edit Banner & Start Date');
+
+      modal.addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('banner_input')
+            .setLabel('Banner Image URL (optional)')
+            .setStyle(TextInputStyle.Short)
+            .setValue(data.banner || '')
+            .setRequired(false)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('starts_input')
+            .setLabel('Tournament Start (e.g. 2025-02-01 16:00 UTC)')
+            .setStyle(TextInputStyle.Short)
+            .setValue(data.startsAt ? `${formatUtcDate(data.startsAt)} UTC` : '')
+            .setRequired(false)
+        )
+      );
+
+      await interaction.showModal(modal);
+
+    } else if (action === 'schedule') {
+      if (!data.rankRange) {
+        await interaction.reply({ content: '⚠️ This draft has no rank range yet. Set one with **Edit** before approving it.', ephemeral: true });
+        return;
+      }
+
+      const quorum = config.approvalQuorum || 1;
+      const otherVotes = (data.approvals || []).filter(vote => vote.userId !== interaction.user.id).length;
+      if (otherVotes + 1 < quorum) {
+        await interaction.reply({
+          content: `⚠️ This draft needs ${quorum - otherVotes - 1} more approval(s) before it can be scheduled. Use **Approve** to vote.`,
+          ephemeral: true
+        });
+        return;
+      }
+
+      const modal = new ModalBuilder()
+        .setCustomId(`schedule_modal_${tournamentId}`)
+        .setTitle('Approve & Schedule');
+
+      modal.addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('time_input')
+            .setLabel('When? (empty = next free slot)')
+            .setStyle(TextInputStyle.Short)
+            .setPlaceholder('next, in 2h, 18:30, Oct 20 18:00 UTC+2')
+            .setRequired(false)
+        )
+      );
+
+      await interaction.showModal(modal);
+
+    } else if (action === 'approve') {
+      if (!data.rankRange) {
+        await interaction.reply({ content: '⚠️ This draft has no rank range yet. Set one with **Edit** before approving it.', ephemeral: true });
+        return;
+      }
+
+      // With a quorum, each Approve is a vote until enough reviewers agree
+      const quorum = config.approvalQuorum || 1;
+      if (quorum > 1) {
+        data.approvals = data.approvals || [];
+        if (data.approvals.some(vote => vote.userId === interaction.user.id)) {
+          await interaction.reply({ content: `⚠️ You already approved this draft (${data.approvals.length}/${quorum}).`, ephemeral: true });
+          return;
+        }
+
+        data.approvals.push({ userId: interaction.user.id, userTag: interaction.user.tag, at: new Date().toISOString() });
+        draftData.set(tournamentId, data);
+        saveDrafts();
+
+        if (data.approvals.length < quorum) {
+          await interaction.update({
+            embeds: [createDraftEmbed(data, config)],
+            components: createActionButtons(tournamentId, data)
+          });
+          console.log(`🗳️ Approval vote ${data.approvals.length}/${quorum} by ${interaction.user.tag}`);
+          await recordAudit(data.guildId, interaction.user, 'vote', data);
+          return;
+        }
+      }
+
+      await interaction.deferUpdate();
+
+      const { announcement } = await publishTournament(data, config, { approvedBy: interaction.user.tag });
+
+      await interaction.editReply({
+        content: '✅ **Approved and sent!**',
+        embeds: [],
+        components: []
+      });
+
+      draftData.delete(tournamentId);
+      saveDrafts();
+      console.log(`✅ Tournament approved by ${interaction.user.tag}`);
+      // Diff against what the parsers found, so the log shows every correction made before publishing
+      await recordAudit(data.guildId, interaction.user, 'approve', data, diffAuditSnapshots(data.parsed, getAuditSnapshot(data)));
+
+      await sendEligibilityDms(data, interaction.guild, announcement);
+
+    } else if (action === 'deny') {
+      await interaction.deferUpdate();
+
+      await interaction.editReply({
+        content: '❌ **Denied and discarded**',
+        embeds: [],
+        components: []
+      });
+
+      draftData.delete(tournamentId);
+      saveDrafts();
+      markTournamentProcessed(data.guildId, data.link, 'denied');
+      saveProcessedTournaments();
+      console.log(`❌ Tournament denied by ${interaction.user.tag}`);
+      await recordAudit(data.guildId, interaction.user, 'deny', data);
+    }
+
+    // Field changes made with the draft buttons and the mode picker
+    if (['region', 'bws', 'mode'].includes(action)) {
+      await recordAudit(data.guildId, interaction.user, 'edit', data, diffAuditSnapshots(before, getAuditSnapshot(data)));
+    }
+
+  } catch (error) {
+    console.error('❌ ERROR:', error);
+    console.error(error.stack);
+  }
+});
+
+// Queue a draft from the Approve & Schedule modal
+async function handleScheduleModal(interaction) {
+  const tournamentId = interaction.customId.replace('schedule_modal_', '');
+  const data = draftData.get(tournamentId);
+
+  if (!data) {
+    await interaction.update(createExpiredDraftMessage('it expired or was already handled.'));
+    return;
+  }
+
+  const config = serverConfigs.get(data.guildId);
+  if (!canReview(interaction, config)) {
+    await interaction.reply({ content: '❌ You need the reviewer role to review tournaments.', ephemeral: true });
+    return;
+  }
+
+  if (!data.rankRange) {
+    await interaction.reply({ content: '⚠️ This draft has no rank range yet. Set one with **Edit** before approving it.', ephemeral: true });
+    return;
+  }
+
+  const publishing = { ...DEFAULT_PUBLISHING, ...config.publishing };
+  const notBefore = parseScheduleTime(interaction.fields.getTextInputValue('time_input'), publishing.utcOffsetMinutes);
+  if (Number.isNaN(notBefore)) {
+    await interaction.reply({ content: '❌ Could not read that time. Try `next`, `in 2h`, `18:30` or `Oct 20 18:00 UTC+2`.', ephemeral: true });
+    return;
+  }
+  if (notBefore !== null && notBefore < Date.now()) {
+    await interaction.reply({ content: `❌ <t:${Math.floor(notBefore / 1000)}:f> is in the past. Pick a later time, or \`next\` for the next free slot.`, ephemeral: true });
+    return;
+  }
+
+  // Votes may have been reset by an edit since the modal was opened
+  const quorum = config.approvalQuorum || 1;
+  const approvals = (data.approvals || []).filter(vote => vote.userId !== interaction.user.id);
+  if (approvals.length + 1 < quorum) {
+    await interaction.reply({ content: '⚠️ This draft no longer has enough approvals to be scheduled.', ephemeral: true });
+    return;
+  }
+  data.approvals = [...approvals, { userId: interaction.user.id, userTag: interaction.user.tag, at: new Date().toISOString() }];
+
+  enqueueAnnouncement(tournamentId, data, notBefore, interaction.user);
+  draftData.delete(tournamentId);
+  saveDrafts();
+  markTournamentProcessed(data.guildId, data.link, 'queued');
+  saveProcessedTournaments();
+
+  const queue = getPublishQueue(data.guildId);
+  const estimate = estimatePublishTimes(data.guildId)[queue.items.length - 1];
+  await interaction.update({
+    content: `🕒 **Approved and queued** by ${interaction.user} - publishes <t:${Math.floor(estimate / 1000)}:R> ` +
+             `(<t:${Math.floor(estimate / 1000)}:f>). Use \`/queue\` to reorder or cancel.`,
+    embeds: [createDraftEmbed(data, config)],
+    components: []
+  });
+  console.log(`🕒 Tournament queued by ${interaction.user.tag}`);
+  await recordAudit(data.guildId, interaction.user, 'schedule', data, diffAuditSnapshots(data.parsed, getAuditSnapshot(data)));
+
+  // Publish right away if the slot is already free
+  await drainPublishQueues();
+}
+
+// Handle /setup command
+async function handleSetupCommand(interaction) {
+  if (!interaction.memberPermissions.has(PermissionFlagsBits.Administrator)) {
+    await interaction.reply({ content: '❌ You need Administrator permissions to use this command.', ephemeral: true });
+    return;
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+
+  try {
+    const guild = interaction.guild;
+    const announcementChannel = interaction.options.getChannel('announcement_channel');
+    const modesOption = (interaction.options.getString('modes') || 'all').toLowerCase();
+
+    // osu!standard always gets rank roles; other modes unless excluded
+    const requestedModes = modesOption.split(/[\s,]+/).map(name => parseGameMode(name) || (name === 'catch' ? 'fruits' : null));
+    const modes = ['osu', ...Object.keys(GAME_MODES).filter(mode =>
+      mode !== 'osu' && (modesOption === 'all' || requestedModes.includes(mode))
+    )];
+
+    // Keep custom buckets and settings when /setup is run again
+    const existingConfig = serverConfigs.get(guild.id);
+    const buckets = [...(existingConfig?.buckets || [])];
+    for (const mode of modes) {
+      for (const defaults of DEFAULT_RANK_BUCKETS) {
+        const key = getModeRoleKey(mode, defaults.key);
+        if (!buckets.some(bucket => bucket.key === key)) {
+          buckets.push({ ...defaults, key, mode });
+        }
+      }
+    }
+
+    // Create or find roles
+    const roles = { ...existingConfig?.roles };
+    const roleNames = [];
+    for (const bucket of buckets) {
+      const name = getBucketRoleName(bucket);
+      let role = guild.roles.cache.get(roles[bucket.key]) || guild.roles.cache.find(r => r.name === name);
+      if (!role) {
+        role = await guild.roles.create({
+          name: name,
+          color: bucket.color,
+          mentionable: true,
+          reason: 'osu! Tournament Bot Setup'
+        });
+        console.log(`Created role: ${name}`);
+      } else {
+        console.log(`Found existing role: ${role.name}`);
+      }
+      roles[bucket.key] = role.id;
+      roleNames.push(role.name);
+    }
+
+    // Create draft channel
+    let draftChannel = guild.channels.cache.find(c => c.name === 'tournament-review');
+    if (!draftChannel) {
+      draftChannel = await guild.channels.create({
+        name: 'tournament-review',
+        type: ChannelType.GuildText,
+        permissionOverwrites: [
+          {
+            id: guild.roles.everyone.id,
+            deny: [PermissionFlagsBits.ViewChannel]
+          },
+          {
+            id: guild.members.me.id,
+            allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages]
+          }
+        ],
+        reason: 'osu! Tournament Bot Setup'
+      });
+      console.log('Created #tournament-review channel');
+    }
+
+    // Save configuration
+    const config = {
+      ...existingConfig,
+      guildId: guild.id,
+      draftChannelId: draftChannel.id,
+      announcementChannelId: announcementChannel.id,
+      roles: roles,
+      buckets: buckets
+    };
+
+    serverConfigs.set(guild.id, config);
+    saveServerConfigs();
+
+    const embed = new EmbedBuilder()
+      .setColor('#22C55E')
+      .setTitle('✅ Setup Complete!')
+      .setDescription(
+        `**Roles Created/Found:**\n` +
+        `${roleNames.map(name => `• @${name}`).join('\n')}\n\n` +
+        `**Channels:**\n` +
+        `• Draft Review: ${draftChannel}\n` +
+        `• Announcements: ${announcementChannel}\n\n` +
+        `**Next Steps:**\n` +
+        `• Use \`/scan\` for a quick 1-minute check\n` +
+        `• Use \`/autoscan start\` for continuous monitoring\n` +
+        `• Drafts will appear in ${draftChannel}\n` +
+        `• Use \`/about\` to learn more\n\n` +
+        `💙 This bot was created by **${BOT_CREATOR}**\n` +
+        `⭐ Star on GitHub: ${GITHUB_URL}`
+      );
+
+    await interaction.editReply({ embeds: [embed] });
+
+  } catch (error) {
+    console.error('Setup error:', error);
+    await interaction.editReply({ content: `❌ Setup failed: ${error.message}` });
+  }
+}
+
+// Handle /about command
+async function handleAboutCommand(interaction) {
+  const embed = new EmbedBuilder()
+    .setColor('#3b82f6')
+    .setTitle('🎮 osu! Tournament Notification Bot')
+    .setDescription(
+      `This bot gets a list of the most recent tournaments posted in the osu! community website, and is sent out to the public after being approved. A tourney can either be rejected, accepted, or edited for more information.`
+    )
+    .addFields(
+      {
+        name: '✨ Key Features',
+        value: 
+          '• Auto-detects rank ranges and team sizes from the title and first post\n' +
+          '• Fetches tournament banners automatically\n' +
+          '• Smart role-based pinging per game mode\n' +
+          '• Self-service ping role picker\n' +
+          '• Edit tournaments before posting\n' +
+          '• Reminders before registration closes\n' +
+          '• Multi-server support',
+        inline: false
+      },
+      {
+        name: '📝 Commands',
+        value:
+          '`/setup` - Initial server setup (Admin only)\n' +
+          '`/scan` - Quick scan for 1 minute (Admin only)\n' +
+          '`/autoscan start [interval]` - Start continuous scanning (Admin only)\n' +
+          '`/autoscan stop` - Stop continuous scanning (Admin only)\n' +
+          '`/autoscan status` - Check scan status (Admin only)\n' +
+          '`/backfill since:<date>` - Draft tournaments missed since a date (Admin only)\n' +
+          '`/reminders` - Configure registration reminders (Admin only)\n' +
+          '`/buckets` - Manage rank buckets (Admin only)\n' +
+          '`/template` - Customize announcements (Admin only)\n' +
+          '`/autoapprove` - Configure auto-approval rules (Admin only)\n' +
+          '`/filters` - Include/exclude topics by keyword or regex (Admin only)\n' +
+          '`/regions` - Regional ping roles and home region (Admin only)\n' +
+          '`/reviewer` - Set the reviewer role and approval quorum (Admin only)\n' +
+          '`/audit` - View the review log (Reviewers)\n' +
+          '`/queue` - Scheduled announcements, quiet hours and spacing (Reviewers)\n' +
+          '`/tournaments` - Search announced tournaments\n' +
+          '`/feeds` - Calendar, RSS and JSON feed links (Admin only)\n' +
+          '`/webhooks` - Send announcements to other servers and backends (Admin only)\n' +
+          '`/topicupdates` - Configure title change notices (Admin only)\n' +
+          '`/roles` - Pick your tournament pings\n' +
+          '`/roles action:panel` - Post the role picker panel (Admin only)\n' +
+          '`/link` - Link your osu! profile\n' +
+          '`/alerts` - DMs for tournaments you can enter\n' +
+          '`/about` - Show this information',
+        inline: false
+      },
+      {
+        name: '👤 Creator',
+        value: `**${BOT_CREATOR}**\n[GitHub](${GITHUB_URL})`,
+        inline: true
+      },
+      {
+        name: '📌 Version',
+        value: BOT_VERSION,
+        inline: true
+      },
+      {
+        name: '🎨 Banner Art',
+        value: 'Artwork by [h3p0](https://osu.ppy.sh/users/18091103) from osu! Winter 2025 Fanart Contest',
+        inline: false
+      }
+    )
+    .setImage('https://assets.ppy.sh/contests/269/entries/Arrogant%20Monitor.jpg')
+    .setThumbnail('https://upload.wikimedia.org/wikipedia/commons/d/d3/Osu%21Logo_%282015%29.png')
+    .setFooter({ text: `Bot by ${BOT_CREATOR}` })
+    .setTimestamp();
+
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+// Handle /scan command (one-time scan for 1 minute)
+async function handleScanCommand(interaction) {
+  const config = serverConfigs.get(interaction.guild.id);
+  if (!canReview(interaction, config)) {
+    await interaction.reply({ content: '❌ You need Administrator permissions or the reviewer role to use this command.', ephemeral: true });
+    return;
+  }
+
+  if (!config) {
+    await interaction.reply({ content: '❌ Server not configured. Run `/setup` first.', ephemeral: true });
+    return;
+  }
+
+  await interaction.reply({ content: '🔍 Starting quick scan... Will check for up to 1 minute or until new tournaments are found.', ephemeral: true });
+
+  const startTime = Date.now();
+  const maxDuration = 60000; // 1 minute
+  const checkInterval = 10000; // Check every 10 seconds
+  let foundNew = false;
+
+  const scanLoop = setInterval(async () => {
+    try {
+      const elapsed = Date.now() - startTime;
+
+      if (elapsed >= maxDuration || foundNew) {
+        clearInterval(scanLoop);
+        if (!foundNew) {
+          await interaction.followUp({ content: '⏱️ Scan complete. No new tournaments found in the last minute.', ephemeral: true });
+        }
+        return;
+      }
+
+      console.log(`Scanning... (${Math.round(elapsed / 1000)}s elapsed)`);
+      const tournaments = await scrapeTournaments(50, checkInterval);
+      const newTournaments = tournaments.filter(t => !isTournamentProcessed(interaction.guild.id, t.link));
+
+      if (newTournaments.length > 0) {
+        foundNew = true;
+        clearInterval(scanLoop);
+        await checkTournaments(interaction.guild.id);
+        await interaction.followUp({ content: `✅ Found ${newTournaments.length} new tournament(s)! Check ${config.draftChannelId ? `<#${config.draftChannelId}>` : 'the draft channel'}.`, ephemeral: true });
+      }
+    } catch (error) {
+      // Runs outside the interaction handler, so nothing else would catch this
+      console.error('Error during /scan:', error.message);
+    }
+  }, checkInterval);
+}
+
+// Handle /autoscan command (continuous scanning)
+async function handleAutoScanCommand(interaction) {
+  const config = serverConfigs.get(interaction.guild.id);
+  if (!canReview(interaction, config)) {
+    await interaction.reply({ content: '❌ You need Administrator permissions or the reviewer role to use this command.', ephemeral: true });
+    return;
+  }
+
+  if (!config) {
+    await interaction.reply({ content: '❌ Server not configured. Run `/setup` first.', ephemeral: true });
+    return;
+  }
+
+  const action = interaction.options.getString('action');
+
+  if (action === 'start') {
+    if (config.autoScan?.enabled) {
+      await interaction.reply({ content: '⚠️ Auto-scan is already running! Use `/autoscan stop` to stop it.', ephemeral: true });
+      return;
+    }
+
+    const intervalMinutes = interaction.options.getInteger('interval') || DEFAULT_SCAN_INTERVAL_MINUTES;
+
+    // Saved in the server config so the scan resumes after a restart
+    config.autoScan = {
+      ...config.autoScan,
+      enabled: true,
+      intervalMinutes
+    };
+    saveServerConfigs();
+
+    await interaction.reply({ 
+      content: '✅ **Auto-scan started!**\n' +
+               `🔄 The bot will now check for tournaments every ${intervalMinutes} minutes.\n` +
+               '⏹️ Use `/autoscan stop` to stop scanning.',
+      ephemeral: true 
+    });
+
+    // Do an immediate check
+    await runAutoScan(interaction.guild.id);
+
+  } else if (action === 'stop') {
+    if (!config.autoScan?.enabled) {
+      await interaction.reply({ content: '⚠️ Auto-scan is not running.', ephemeral: true });
+      return;
+    }
+
+    config.autoScan.enabled = false;
+    config.autoScan.nextScanAt = null;
+    saveServerConfigs();
+
+    await interaction.reply({ content: '⏹️ **Auto-scan stopped.** Use `/autoscan start` to resume.', ephemeral: true });
+
+  } else if (action === 'status') {
+    const autoScan = config.autoScan || {};
+    const isRunning = Boolean(autoScan.enabled);
+    const timestamp = iso => `<t:${Math.floor(Date.parse(iso) / 1000)}:R>`;
+
+    let description = isRunning 
+      ? `✅ **Status:** Running\n⏱️ **Interval:** Every ${autoScan.intervalMinutes} minutes\n`
+      : '⏸️ **Status:** Not running\n';
+    description += `🕒 **Last scan:** ${autoScan.lastScanAt ? timestamp(autoScan.lastScanAt) : 'Never'}\n`;
+    if (isRunning && autoScan.nextScanAt) description += `⏭️ **Next scan:** ${timestamp(autoScan.nextScanAt)}\n`;
+
+    const result = autoScan.lastResult;
+    if (result) {
+      description += result.error
+        ? `❌ **Last result:** Scrape failed (${result.error})\n`
+        : `📋 **Last result:** ${result.topics} topics found, ${result.drafted} new draft(s)\n`;
+    }
+
+    description += isRunning ? '⏹️ Use `/autoscan stop` to stop.' : '▶️ Use `/autoscan start` to begin scanning.';
+
+    const embed = new EmbedBuilder()
+      .setColor(isRunning ? '#22C55E' : '#6B7280')
+      .setTitle('🔍 Auto-Scan Status')
+      .setDescription(description)
+      .setTimestamp();
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+}
+
+// Handle /backfill command (draft everything posted since a date)
+async function handleBackfillCommand(interaction) {
+  if (!interaction.memberPermissions.has(PermissionFlagsBits.Administrator)) {
+    await interaction.reply({ content: '❌ You need Administrator permissions to use this command.', ephemeral: true });
+    return;
+  }
+
+  const config = serverConfigs.get(interaction.guild.id);
+  if (!config) {
+    await interaction.reply({ content: '❌ Server not configured. Run `/setup` first.', ephemeral: true });
+    return;
+  }
+
+  const sinceText = interaction.options.getString('since');
+  const sinceIso = datePartsToIso(parseDateParts(sinceText), parseTimezoneOffset(sinceText), false, true);
+  if (!sinceIso) {
+    await interaction.reply({ content: '❌ Could not read that date. Try something like `2025-01-05` or `January 5`.', ephemeral: true });
+    return;
+  }
+  if (Date.parse(sinceIso) > Date.now()) {
+    await interaction.reply({ content: `❌ <t:${Math.floor(Date.parse(sinceIso) / 1000)}:D> is in the future. Pick a date in the past.`, ephemeral: true });
+    return;
+  }
+
+  await interaction.reply({ content: `🔍 Looking for tournaments posted since <t:${Math.floor(Date.parse(sinceIso) / 1000)}:D>...`, ephemeral: true });
+
+  try {
+    const result = await backfillTournaments(interaction.guild.id, new Date(sinceIso));
+    let content = result.drafted > 0
+      ? `✅ Drafted ${result.drafted} tournament(s)! Check <#${config.draftChannelId}>.`
+      : '✅ Backfill complete. No tournaments were missing.';
+    if (result.truncated) {
+      content += `\n⚠️ Found ${result.found}, but only ${BACKFILL_MAX_DRAFTS} are drafted per backfill. Run it again for the rest.`;
+    }
+    if (lastScrape.error) content += `\n⚠️ Scraping failed: ${lastScrape.error}`;
+
+    await interaction.followUp({ content, ephemeral: true });
+  } catch (error) {
+    console.error('Backfill error:', error);
+    await interaction.followUp({ content: `❌ Backfill failed: ${error.message}`, ephemeral: true });
+  }
+}
+
+// Handle /roles command (members pick their pings; admins can post the panel)
+async function handleRolesCommand(interaction) {
+  const config = serverConfigs.get(interaction.guild.id);
+  if (!config) {
+    await interaction.reply({ content: '❌ Server not configured. Run `/setup` first.', ephemeral: true });
+    return;
+  }
+
+  const options = getPingRoleOptions(config, interaction.guild);
+  if (options.length === 0) {
+    await interaction.reply({ content: '❌ No ping roles found. Run `/setup` to create them.', ephemeral: true });
+    return;
+  }
+
+  const action = interaction.options.getString('action') || 'pick';
+
+  if (action === 'panel') {
+    if (!interaction.memberPermissions.has(PermissionFlagsBits.Administrator)) {
+      await interaction.reply({ content: '❌ You need Administrator permissions to post the role panel.', ephemeral: true });
+      return;
+    }
+
+    // Only one panel per server: remove the old one
+    if (config.rolePanel) {
+      try {
+        const oldChannel = await client.channels.fetch(config.rolePanel.channelId);
+        const oldMessage = await oldChannel.messages.fetch(config.rolePanel.messageId);
+        await oldMessage.delete();
+      } catch (error) {
+        console.log('Old role panel already gone');
+      }
+    }
+
+    const panel = await interaction.channel.send(createRolePanelMessage(config, interaction.guild));
+    config.rolePanel = { channelId: interaction.channel.id, messageId: panel.id };
+    saveServerConfigs();
+
+    await interaction.reply({ content: '✅ Role panel posted! It keeps working after restarts.', ephemeral: true });
+    return;
+  }
+
+  await interaction.reply({
+    content: '🔔 Pick the tournaments you want to be pinged for:',
+    components: createRolePickerComponents(options, 'set', options
+      .filter(option => interaction.member.roles.cache.has(option.roleId))
+      .map(option => option.roleId)),
+    ephemeral: true
+  });
+}
+
+// Handle /buckets command (per-server rank buckets and their ping roles)
+async function handleBucketsCommand(interaction) {
+  if (!interaction.memberPermissions.has(PermissionFlagsBits.Administrator)) {
+    await interaction.reply({ content: '❌ You need Administrator permissions to use this command.', ephemeral: true });
+    return;
+  }
+
+  const config = serverConfigs.get(interaction.guild.id);
+  if (!config) {
+    await interaction.reply({ content: '❌ Server not configured. Run `/setup` first.', ephemeral: true });
+    return;
+  }
+
+  const subcommand = interaction.options.getSubcommand();
+  config.buckets = config.buckets || [];
+
+  if (subcommand === 'list') {
+    const lines = Object.entries(GAME_MODES)
+      .map(([mode, modeName]) => {
+        const buckets = config.buckets.filter(bucket => (bucket.mode || 'osu') === mode);
+        if (buckets.length === 0) return null;
+        return `**${modeName}**\n` + buckets
+          .map(bucket => `• **${bucket.name}** - ${formatBucketRange(bucket)} → ${config.roles[bucket.key] ? `<@&${config.roles[bucket.key]}>` : 'no role'}`)
+          .join('\n');
+      })
+      .filter(Boolean);
+
+    const embed = new EmbedBuilder()
+      .setColor('#3b82f6')
+      .setTitle('📊 Rank Buckets')
+      .setDescription(lines.length > 0 ? lines.join('\n\n') : 'No buckets. Use `/buckets add` to create one.')
+      .setFooter({ text: 'Every bucket that overlaps a tournament\'s rank range is pinged' });
+
+    await interaction.reply({ embeds: [embed], ephemeral: true, allowedMentions: { parse: [] } });
+    return;
+  }
+
+  const name = interaction.options.getString('name').trim();
+  const mode = interaction.options.getString('mode') || 'osu';
+
+  if (subcommand === 'add') {
+    const isOpen = interaction.options.getBoolean('open') || false;
+    const min = interaction.options.getInteger('min') ?? 1;
+    const max = interaction.options.getInteger('max');
+    const colorText = interaction.options.getString('color');
+    const existingRole = interaction.options.getRole('role');
+
+    if (max !== null && max < min) {
+      await interaction.reply({ content: '❌ `max` must be greater than or equal to `min`.', ephemeral: true });
+      return;
+    }
+    if (colorText && !/^#?[0-9a-f]{6}$/i.test(colorText)) {
+      await interaction.reply({ content: '❌ `color` must be a hex colour like `#FF66AA`.', ephemeral: true });
+      return;
+    }
+
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '').substring(0, 30) || 'bucket';
+    const key = getModeRoleKey(mode, slug);
+    if (config.buckets.some(bucket => bucket.key === key)) {
+      await interaction.reply({ content: `⚠️ A bucket called **${name}** already exists for ${GAME_MODES[mode]}.`, ephemeral: true });
+      return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const bucket = {
+      key,
+      name,
+      min: isOpen ? 1 : min,
+      max: isOpen ? null : max,
+      isOpen,
+      mode,
+      color: colorText ? parseInt(colorText.replace('#', ''), 16) : 0x9CA3AF
+    };
+
+    let role = existingRole;
+    if (!role) {
+      role = await interaction.guild.roles.create({
+        name: getBucketRoleName(bucket),
+        color: bucket.color,
+        mentionable: true,
+        reason: `Rank bucket added by ${interaction.user.tag}`
+      });
+    }
+
+    config.roles[key] = role.id;
+    config.buckets.push(bucket);
+    config.buckets.sort((a, b) => (b.isOpen ? 1 : 0) - (a.isOpen ? 1 : 0) || a.min - b.min);
+    saveServerConfigs();
+    await refreshRolePanels();
+
+    await interaction.editReply({
+      content: `✅ Added bucket **${name}** (${GAME_MODES[mode]}, ${formatBucketRange(bucket)}) → ${role}`,
+      allowedMentions: { parse: [] }
+    });
+
+  } else if (subcommand === 'remove') {
+    const bucket = config.buckets.find(b =>
+      (b.mode || 'osu') === mode && (b.name.toLowerCase() === name.toLowerCase() || b.key === name)
+    );
+    if (!bucket) {
+      await interaction.reply({ content: `❌ No ${GAME_MODES[mode]} bucket called **${name}**. See \`/buckets list\`.`, ephemeral: true });
+      return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const roleId = config.roles[bucket.key];
+    if (interaction.options.getBoolean('delete_role') && roleId) {
+      try {
+        await interaction.guild.roles.delete(roleId, `Rank bucket removed by ${interaction.user.tag}`);
+      } catch (error) {
+        console.error('Error deleting bucket role:', error.message);
+      }
+    }
+
+    config.buckets = config.buckets.filter(b => b !== bucket);
+    delete config.roles[bucket.key];
+    saveServerConfigs();
+    await refreshRolePanels();
+
+    await interaction.editReply({ content: `✅ Removed bucket **${bucket.name}** (${GAME_MODES[mode]}).` });
+  }
+}
+
+// Format a linked user's ranks ("osu!standard #12,345 (BWS #9,876)")
+function formatLinkedRanks(user) {
+  const ranks = Object.entries(GAME_MODES)
+    .filter(([mode]) => user.ranks?.[mode])
+    .map(([mode, name]) => {
+      const bwsText = user.badges ? ` (BWS #${getBwsRank(user.ranks[mode], user.badges).toLocaleString()})` : '';
+      return `${name} #${user.ranks[mode].toLocaleString()}${bwsText}`;
+    });
+  const badgesText = `\n🏅 ${user.badges || 0} tournament badge(s) - updated every ${RANK_REFRESH_HOURS} hours`;
+  return (ranks.length > 0 ? ranks.join('\n') : 'Unranked') + badgesText;
+}
+
+// Handle /link command (connect an osu! profile)
+async function handleLinkCommand(interaction) {
+  if (!process.env.OSU_CLIENT_ID || !process.env.OSU_CLIENT_SECRET) {
+    await interaction.reply({ content: '❌ Profile linking needs the osu! API. Ask the bot owner to set `OSU_CLIENT_ID` and `OSU_CLIENT_SECRET`.', ephemeral: true });
+    return;
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+
+  const username = interaction.options.getString('username').trim();
+
+  try {
+    const osuUser = await osuApiGet(`/users/@${encodeURIComponent(username)}`);
+    const ranks = await fetchOsuRanks([osuUser.id]);
+    const fresh = ranks.get(String(osuUser.id));
+
+    const existing = linkedUsers.get(interaction.user.id);
+    const user = {
+      ...existing,
+      osuId: osuUser.id,
+      username: osuUser.username,
+      ranks: fresh?.ranks || {},
+      badges: countTournamentBadges(osuUser.badges || []),
+      updatedAt: new Date().toISOString(),
+      dmAlerts: existing?.dmAlerts || false,
+      modes: existing?.modes || [],
+      muted: existing?.muted || false
+    };
+    linkedUsers.set(interaction.user.id, user);
+    saveLinkedUsers();
+
+    const embed = new EmbedBuilder()
+      .setColor('#22C55E')
+      .setTitle('🔗 osu! Profile Linked')
+      .setDescription(
+        `**Profile:** [${user.username}](${OSU_BASE_URL}/users/${user.osuId})\n\n` +
+        `**Ranks:**\n${formatLinkedRanks(user)}\n\n` +
+        (user.dmAlerts
+          ? '📬 DM alerts are on.'
+          : '📬 Use `/alerts dms:True` to get a DM for every tournament you can enter.')
+      );
+
+    await interaction.editReply({ embeds: [embed] });
+  } catch (error) {
+    if (error.response?.status === 404) {
+      await interaction.editReply({ content: `❌ No osu! user called **${username}** was found.` });
+      return;
+    }
+    console.error('Link error:', error.message);
+    await interaction.editReply({ content: `❌ Could not link your profile: ${error.message}` });
+  }
+}
+
+// Handle /unlink command
+async function handleUnlinkCommand(interaction) {
+  if (!linkedUsers.delete(interaction.user.id)) {
+    await interaction.reply({ content: '⚠️ You have no linked osu! profile.', ephemeral: true });
+    return;
+  }
+
+  saveLinkedUsers();
+  await interaction.reply({ content: '✅ Your osu! profile was unlinked and DM alerts are off.', ephemeral: true });
+}
+
+// Handle /alerts command (DM alerts for tournaments the user can enter)
+async function handleAlertsCommand(interaction) {
+  const user = linkedUsers.get(interaction.user.id);
+  if (!user) {
+    await interaction.reply({ content: '❌ Link your osu! profile first with `/link`.', ephemeral: true });
+    return;
+  }
+
+  const dms = interaction.options.getBoolean('dms');
+  const modesText = interaction.options.getString('modes');
+  const mute = interaction.options.getBoolean('mute');
+
+  if (dms !== null) user.dmAlerts = dms;
+  if (mute !== null) user.muted = mute;
+  if (modesText !== null) {
+    user.modes = /^\s*all\s*$/i.test(modesText)
+      ? []
+      : [...new Set(modesText.toLowerCase().split(/[\s,]+/).map(name => parseGameMode(name) || (name === 'catch' ? 'fruits' : null)).filter(Boolean))];
+  }
+  saveLinkedUsers();
+
+  const modesDisplay = user.modes?.length ? user.modes.map(mode => GAME_MODES[mode]).join(', ') : 'All modes';
+  let status = '⏸️ Off';
+  if (user.dmAlerts) status = user.muted ? '🔇 On, but muted' : '✅ On';
+
+  const embed = new EmbedBuilder()
+    .setColor(user.dmAlerts && !user.muted ? '#22C55E' : '#6B7280')
+    .setTitle('📬 Tournament DM Alerts')
+    .setDescription(
+      `**Status:** ${status}\n` +
+      `**Modes:** ${modesDisplay}\n` +
+      `**Profile:** [${user.username}](${OSU_BASE_URL}/users/${user.osuId})\n\n` +
+      `**Ranks:**\n${formatLinkedRanks(user)}\n\n` +
+      'You get a DM when a server you are in announces a tournament whose rank range includes your rank.'
+    );
+
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+// Handle /topicupdates command (notices about edited topic titles)
+async function handleTopicUpdatesCommand(interaction) {
+  if (!interaction.memberPermissions.has(PermissionFlagsBits.Administrator)) {
+    await interaction.reply({ content: '❌ You need Administrator permissions to use this command.', ephemeral: true });
+    return;
+  }
+
+  const config = serverConfigs.get(interaction.guild.id);
+  if (!config) {
+    await interaction.reply({ content: '❌ Server not configured. Run `/setup` first.', ephemeral: true });
+    return;
+  }
+
+  const notify = interaction.options.getBoolean('notify');
+  if (notify !== null) {
+    config.notifyTopicChanges = notify;
+    saveServerConfigs();
+  }
+
+  const enabled = config.notifyTopicChanges !== false;
+  await interaction.reply({
+    content: (enabled
+      ? `✅ Title changes will be posted in <#${config.draftChannelId}>.`
+      : '⏸️ Title change notices are off.') +
+      '\n📝 Drafts and sent announcements are updated either way.',
+    ephemeral: true
+  });
+}
+
+// Handle /reminders command (registration closing reminders)
+async function handleRemindersCommand(interaction) {
+  if (!interaction.memberPermissions.has(PermissionFlagsBits.Administrator)) {
+    await interaction.reply({ content: '❌ You need Administrator permissions to use this command.', ephemeral: true });
+    return;
+  }
+
+  const config = serverConfigs.get(interaction.guild.id);
+  if (!config) {
+    await interaction.reply({ content: '❌ Server not configured. Run `/setup` first.', ephemeral: true });
+    return;
+  }
+
+  const hours = interaction.options.getInteger('hours');
+  if (hours !== null) {
+    config.reminderHours = hours;
+    saveServerConfigs();
+  }
+
+  const currentHours = config.reminderHours ?? DEFAULT_REMINDER_HOURS;
+  const upcoming = scheduledReminders
+    .filter(r => r.guildId === interaction.guild.id)
+    .sort((a, b) => Date.parse(a.remindAt) - Date.parse(b.remindAt));
+
+  const upcomingText = upcoming.length > 0
+    ? upcoming.slice(0, 10).map(r => `• **${r.name}** - <t:${Math.floor(Date.parse(r.remindAt) / 1000)}:R>`).join('\n')
+    : 'None';
+
+  const embed = new EmbedBuilder()
+    .setColor(currentHours ? '#22C55E' : '#6B7280')
+    .setTitle('⏰ Registration Reminders')
+    .setDescription(
+      (currentHours
+        ? `✅ **Status:** Reminding ${currentHours}h before registration closes\n`
+        : '⏸️ **Status:** Disabled\n') +
+      `⚙️ Use \`/reminders hours:<n>\` to change (0 disables)\n\n` +
+      `**Upcoming reminders:**\n${upcomingText}`
+    )
+    .setTimestamp();
+
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+// Parse a rank like "23k", "#23,000" or "1.2m"
+function parseRankNumber(text) {
+  const match = (text || '').trim().toLowerCase().replace(/[#,\s]/g, '').match(/^(\d+(?:\.\d+)?)(k|m)?$/);
+  if (!match) return null;
+  const multiplier = match[2] === 'k' ? 1000 : match[2] === 'm' ? 1000000 : 1;
+  return Math.round(parseFloat(match[1]) * multiplier);
+}
+
+// Where a published tournament stands: 'cancelled', 'closed', 'upcoming' or 'open'
+function getArchiveStatus(data) {
+  if (data.cancelled) return 'cancelled';
+  if (data.registrationClosed) return 'closed';
+  if (data.registration?.closes && Date.parse(data.registration.closes) < Date.now()) return 'closed';
+  if (data.registration?.opens && Date.parse(data.registration.opens) > Date.now()) return 'upcoming';
+  return 'open';
+}
+
+// Published tournaments of a server matching the /tournaments filters, newest first
+function searchArchive(guildId, filters) {
+  const rank = parseRankNumber(filters.rank);
+  const format = filters.format?.toLowerCase();
+
+  return [...(processedTournaments.get(guildId)?.values() || [])]
+    .filter(entry => entry.status === 'approved' && entry.data)
+    .filter(entry => !filters.mode || (entry.data.mode || 'osu') === filters.mode)
+    .filter(entry => !format || entry.data.teamSize.toLowerCase().includes(format))
+    .filter(entry => !filters.status || getArchiveStatus(entry.data) === filters.status)
+    .filter(entry => {
+      if (!rank) return true;
+      const range = entry.data.rankRange;
+      return range && (range.isOpen || (rank >= range.min && rank <= range.max));
+    })
+    .sort((a, b) => Date.parse(b.publishedAt || b.updatedAt) - Date.parse(a.publishedAt || a.updatedAt));
+}
+
+// Build one page of /tournaments results; filters are kept in the button IDs
+function createArchivePage(guildId, filters, page) {
+  const results = searchArchive(guildId, filters);
+  const pageCount = Math.max(1, Math.ceil(results.length / ARCHIVE_PAGE_SIZE));
+  page = Math.min(Math.max(page, 0), pageCount - 1);
+
+  const statusLabels = { open: '🟢 Open', upcoming: '🕒 Not open yet', closed: '🔒 Closed', cancelled: '❌ Cancelled' };
+  const lines = results.slice(page * ARCHIVE_PAGE_SIZE, (page + 1) * ARCHIVE_PAGE_SIZE).map(entry => {
+    const data = entry.data;
+    const rank = data.rankRange?.isOpen
+      ? 'Open Rank'
+      : data.rankRange ? `${data.rankRange.min.toLocaleString()}-${data.rankRange.max.toLocaleString()}` : 'Unknown rank';
+    const messageLink = entry.announcement
+      ? ` · [Announcement](https://discord.com/channels/${guildId}/${entry.announcement.channelId}/${entry.announcement.messageId})`
+      : '';
+    const registration = formatRegistration(data.registration);
+
+    return `**[${data.name.substring(0, 100)}](${data.link})**\n` +
+      `${GAME_MODES[data.mode || 'osu']} · ${data.teamSize} · ${rank}${data.bws ? ' (BWS)' : ''} · ${statusLabels[getArchiveStatus(data)]}\n` +
+      (registration ? `Registration: ${registration}\n` : '') +
+      `-# Published ${entry.publishedAt ? `<t:${Math.floor(Date.parse(entry.publishedAt) / 1000)}:R>` : 'earlier'}` +
+      `${entry.approvedBy ? ` by ${entry.approvedBy}` : ''}${messageLink}`;
+  });
+
+  const filterText = [
+    filters.rank && `eligible for #${(parseRankNumber(filters.rank) || 0).toLocaleString()}`,
+    filters.mode && GAME_MODES[filters.mode],
+    filters.format && `format "${filters.format}"`,
+    filters.status && statusLabels[filters.status]
+  ].filter(Boolean).join(', ');
+
+  const embed = new EmbedBuilder()
+    .setColor('#3b82f6')
+    .setTitle('🏆 Announced Tournaments')
+    .setDescription(
+      (filterText ? `**Filters:** ${filterText}\n\n` : '') +
+      (lines.length > 0 ? lines.join('\n\n') : 'No tournaments match these filters.')
+    )
+    .setFooter({ text: `Page ${page + 1}/${pageCount} · ${results.length} tournament(s)` });
+
+  const state = [filters.rank || '', filters.mode || '', filters.format || '', filters.status || ''].join(':');
+  const row = new ActionRowBuilder()
+    .addComponents(
+      new ButtonBuilder()
+        .setCustomId(`tlist:${page - 1}:${state}`)
+        .setLabel('◀ Previous')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(page === 0),
+      new ButtonBuilder()
+        .setCustomId(`tlist:${page + 1}:${state}`)
+        .setLabel('Next ▶')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(page >= pageCount - 1)
+    );
+
+  return { embeds: [embed], components: pageCount > 1 ? [row] : [] };
+}
+
+// Handle /tournaments command (open to everyone)
+async function handleTournamentsCommand(interaction) {
+  // Colons separate the filters in the paging button IDs
+  const clean = value => value ? value.replace(/:/g, '').trim().substring(0, 20) : '';
+  const filters = {
+    rank: clean(interaction.options.getString('rank')),
+    mode: interaction.options.getString('mode') || '',
+    format: clean(interaction.options.getString('format')),
+    status: interaction.options.getString('status') || ''
+  };
+
+  if (filters.rank && !parseRankNumber(filters.rank)) {
+    await interaction.reply({ content: '❌ Could not read that rank. Try `23000`, `23k` or `#23,000`.', ephemeral: true });
+    return;
+  }
+
+  await interaction.reply({ ...createArchivePage(interaction.guild.id, filters, 0), ephemeral: true });
+}
+
+// Page through /tournaments results
+async function handleTournamentsPage(interaction) {
+  const [, page, rank, mode, format, status] = interaction.customId.split(':');
+  await interaction.update(createArchivePage(interaction.guild.id, { rank, mode, format, status }, parseInt(page)));
+}
+
+// Escape text for iCalendar
+function escapeIcsText(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Fold an iCalendar line at 75 bytes
+function foldIcsLine(line) {
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (chunks.length === 0 ? 75 : 74)) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+// Format a timestamp as an iCalendar UTC date-time
+function formatIcsDate(iso) {
+  return new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Escape text for XML
+function escapeXml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+// Published tournaments of a server as plain objects for the feeds
+function getFeedTournaments(guildId) {
+  return searchArchive(guildId, {}).map(entry => {
+    const data = entry.data;
+    return {
+      name: data.name,
+      link: data.link,
+      mode: data.mode || 'osu',
+      modeName: GAME_MODES[data.mode || 'osu'],
+      teamSize: data.teamSize,
+      rankRange: data.rankRange,
+      rank: data.rankRange?.isOpen
+        ? 'Open Rank'
+        : data.rankRange ? `${data.rankRange.min.toLocaleString()}-${data.rankRange.max.toLocaleString()}` : 'Unknown',
+      bws: Boolean(data.bws),
+      registration: { opens: data.registration?.opens || null, closes: data.registration?.closes || null },
+      startsAt: data.startsAt || null,
+      status: getArchiveStatus(data),
+      restriction: formatRestriction(data.restriction),
+      host: data.host || null,
+      comments: data.comments || null,
+      banner: data.banner || null,
+      publishedAt: entry.publishedAt || entry.updatedAt,
+      approvedBy: entry.approvedBy || null,
+      announcementUrl: entry.announcement
+        ? `https://discord.com/channels/${guildId}/${entry.announcement.channelId}/${entry.announcement.messageId}`
+        : null
+    };
+  });
+}
+
+// Short plain-text summary used in feed entries
+function formatFeedSummary(tournament) {
+  return [
+    `Mode: ${tournament.modeName}`,
+    `Format: ${tournament.teamSize}`,
+    `Rank: ${tournament.rank}${tournament.bws ? ' (BWS)' : ''}`,
+    tournament.restriction && `Region: ${tournament.restriction}`,
+    tournament.registration.closes && `Registration closes: ${formatUtcDate(tournament.registration.closes)} UTC`,
+    tournament.startsAt && `Starts: ${formatUtcDate(tournament.startsAt)} UTC`,
+    tournament.host && `Host: ${tournament.host}`,
+    tournament.comments
+  ].filter(Boolean).join('\n');
+}
+
+// iCalendar feed: registration opening/closing and tournament start as events
+function createIcsFeed(guild, tournaments) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//osu-tournament-bot//feeds//EN',
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${escapeIcsText(`${guild.name} osu! tournaments`)}`
+  ];
+
+  for (const tournament of tournaments) {
+    const topicId = tournament.link.match(/\/topics\/(\d+)/)?.[1] || crypto.createHash('sha1').update(tournament.link).digest('hex').substring(0, 12);
+    const events = [
+      ['opens', 'Registration opens', tournament.registration.opens],
+      ['closes', 'Registration closes', tournament.registration.closes],
+      ['start', 'Tournament starts', tournament.startsAt]
+    ];
+
+    for (const [key, label, time] of events) {
+      if (!time) continue;
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${topicId}-${key}@osu-tournament-bot`,
+        `DTSTAMP:${formatIcsDate(tournament.publishedAt)}`,
+        `DTSTART:${formatIcsDate(time)}`,
+        `DTEND:${formatIcsDate(Date.parse(time) + 30 * 60000)}`,
+        `SUMMARY:${escapeIcsText(`${label}: ${tournament.name}`)}`,
+        `DESCRIPTION:${escapeIcsText(`${formatFeedSummary(tournament)}\n\n${tournament.link}`)}`,
+        `URL:${tournament.link}`,
+        `STATUS:${tournament.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+        'END:VEVENT'
+      );
+    }
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// RSS 2.0 feed of published tournaments
+function createRssFeed(guild, tournaments, selfUrl) {
+  const items = tournaments.map(tournament =>
+    '    <item>\n' +
+    `      <title>${escapeXml(tournament.name)}</title>\n` +
+    `      <link>${escapeXml(tournament.link)}</link>\n` +
+    `      <guid isPermaLink="true">${escapeXml(tournament.link)}</guid>\n` +
+    `      <pubDate>${new Date(tournament.publishedAt).toUTCString()}</pubDate>\n` +
+    `      <category>${escapeXml(tournament.modeName)}</category>\n` +
+    `      <description>${escapeXml(formatFeedSummary(tournament))}</description>\n` +
+    '    </item>'
+  );
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">\n' +
+    '  <channel>\n' +
+    `    <title>${escapeXml(`${guild.name} osu! tournaments`)}</title>\n` +
+    `    <link>${escapeXml(FORUM_URL)}</link>\n` +
+    `    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>\n` +
+    `    <description>${escapeXml(`Tournaments announced in ${guild.name}`)}</description>\n` +
+    (items.length > 0 ? `${items.join('\n')}\n` : '') +
+    '  </channel>\n' +
+    '</rss>\n';
+}
+
+// Atom feed of published tournaments
+function createAtomFeed(guild, tournaments, selfUrl) {
+  const updated = tournaments[0]?.publishedAt || new Date().toISOString();
+  const entries = tournaments.map(tournament =>
+    '  <entry>\n' +
+    `    <title>${escapeXml(tournament.name)}</title>\n` +
+    `    <link href="${escapeXml(tournament.link)}"/>\n` +
+    `    <id>${escapeXml(tournament.link)}</id>\n` +
+    `    <updated>${new Date(tournament.publishedAt).toISOString()}</updated>\n` +
+    `    <category term="${escapeXml(tournament.mode)}" label="${escapeXml(tournament.modeName)}"/>\n` +
+    `    <summary>${escapeXml(formatFeedSummary(tournament))}</summary>\n` +
+    '  </entry>'
+  );
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<feed xmlns="http://www.w3.org/2005/Atom">\n' +
+    `  <title>${escapeXml(`${guild.name} osu! tournaments`)}</title>\n` +
+    `  <id>${escapeXml(selfUrl)}</id>\n` +
+    `  <link rel="self" href="${escapeXml(selfUrl)}"/>\n` +
+    `  <updated>${new Date(updated).toISOString()}</updated>\n` +
+    (entries.length > 0 ? `${entries.join('\n')}\n` : '') +
+    '</feed>\n';
+}
+
+// Feed URLs for a server
+function getFeedUrls(guildId, token) {
+  const base = `${FEED_BASE_URL}/feeds/${guildId}/${token}`;
+  return {
+    ics: `${base}/tournaments.ics`,
+    rss: `${base}/tournaments.rss`,
+    atom: `${base}/tournaments.atom`,
+    json: `${base}/tournaments.json`
+  };
+}
+
+// Compare a feed token without leaking timing
+function isValidFeedToken(config, token) {
+  if (!config?.feedToken || !token) return false;
+  const expected = Buffer.from(config.feedToken);
+  const given = Buffer.from(token);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// Answer a feed request: /feeds/<guildId>/<token>/tournaments.(ics|rss|atom|json)
+function handleFeedRequest(req, res) {
+  const send = (status, type, body) => {
+    res.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'max-age=300', 'Access-Control-Allow-Origin': '*' });
+    res.end(req.method === 'HEAD' ? undefined : body);
+  };
+
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    send(405, 'text/plain; charset=utf-8', 'Method not allowed');
+    return;
+  }
+
+  const url = new URL(req.url, 'http://localhost');
+  const match = url.pathname.match(/^\/feeds\/(\d+)\/([a-f0-9]+)\/tournaments\.(ics|rss|atom|json)$/);
+  const config = match && serverConfigs.get(match[1]);
+  if (!match || !isValidFeedToken(config, match[2])) {
+    send(404, 'text/plain; charset=utf-8', 'Not found');
+    return;
+  }
+
+  const [, guildId, token, format] = match;
+  const guild = client.guilds.cache.get(guildId) || { id: guildId, name: 'Discord server' };
+  const tournaments = getFeedTournaments(guildId);
+  const selfUrl = getFeedUrls(guildId, token)[format];
+
+  if (format === 'ics') {
+    send(200, 'text/calendar; charset=utf-8', createIcsFeed(guild, tournaments));
+  } else if (format === 'rss') {
+    send(200, 'application/rss+xml; charset=utf-8', createRssFeed(guild, tournaments, selfUrl));
+  } else if (format === 'atom') {
+    send(200, 'application/atom+xml; charset=utf-8', createAtomFeed(guild, tournaments, selfUrl));
+  } else {
+    send(200, 'application/json; charset=utf-8', JSON.stringify({
+      guild: { id: guildId, name: guild.name },
+      generatedAt: new Date().toISOString(),
+      tournaments
+    }, null, 2));
+  }
+}
+
+// Start the feed server when FEED_PORT is set
+function startFeedServer() {
+  if (!FEED_PORT) return;
+
+  feedServer = http.createServer((req, res) => {
+    try {
+      handleFeedRequest(req, res);
+    } catch (error) {
+      console.error('Error serving feed:', error.message);
+      if (!res.headersSent) res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Internal error');
+    }
+  });
+
+  feedServer.on('error', error => console.error('❌ Feed server error:', error.message));
+  feedServer.listen(FEED_PORT, FEED_HOST, () => {
+    console.log(`📰 Feed server listening on http://${FEED_HOST}:${FEED_PORT}`);
+  });
+}
+
+// Webhook payload: the fields, roles and rendered announcement formatAnnouncement works with
+function createWebhookPayload(event, guildId, entry) {
+  const config = serverConfigs.get(guildId);
+  const data = entry.data;
+  const rankRoles = getRolesToPing(data, config);
+  const announcement = formatAnnouncement(data, rankRoles, config);
+  const { channelId, messageId, parsed, approvals, ...tournament } = data;
+
+  return {
+    event,
+    guildId,
+    sentAt: new Date().toISOString(),
+    tournament: { ...tournament, status: getArchiveStatus(data) },
+    roles: rankRoles.map(key => ({ key, roleId: config.roles[key] })),
+    announcement: {
+      content: announcement.content,
+      embed: announcement.embed ? announcement.embed.toJSON() : null,
+      url: entry.announcement
+        ? `https://discord.com/channels/${guildId}/${entry.announcement.channelId}/${entry.announcement.messageId}`
+        : null
+    },
+    publishedAt: entry.publishedAt || null,
+    approvedBy: entry.approvedBy || null
+  };
+}
+
+// Message body for a Discord webhook (role mentions from this server mean nothing elsewhere)
+function createDiscordWebhookBody(payload) {
+  const content = (payload.announcement.content || '').replace(/<@&\d+>/g, '').trim();
+  const prefix = payload.event === 'cancelled' ? '❌ **Cancelled**' : payload.event === 'test' ? '🧪 **Test delivery**' : '';
+  return {
+    username: 'osu! Tournament Bot',
+    content: [prefix, content].filter(Boolean).join('\n').substring(0, 2000),
+    embeds: payload.announcement.embed ? [payload.announcement.embed] : [],
+    allowed_mentions: { parse: [] }
+  };
+}
+
+// Whether an IP address is loopback, private, link-local or otherwise not on the public internet
+function isPrivateAddress(address) {
+  if (net.isIPv6(address)) {
+    const lower = address.toLowerCase();
+    const mapped = lower.match(/^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+    if (mapped) {
+      if (mapped[1]) return isPrivateAddress(mapped[1]);
+      const high = parseInt(mapped[2], 16);
+      const low = parseInt(mapped[3], 16);
+      return isPrivateAddress(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+    }
+    return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower) || /^ff/.test(lower);
+  }
+
+  const [a, b] = address.split('.').map(Number);
+  return a === 0 || a === 10 || a === 127 || a >= 224 ||
+    (a === 100 && b >= 64 && b <= 127) ||  // Carrier-grade NAT
+    (a === 169 && b === 254) ||            // Link-local (cloud metadata)
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    (a === 198 && (b === 18 || b === 19)); // Benchmarking
+}
+
+// Error for webhook URLs that point into the bot host's own network (never retried)
+function createPrivateAddressError(hostname, address) {
+  const error = new Error(`${hostname} resolves to a private or local address (${address})`);
+  error.code = 'EPRIVATEADDRESS';
+  return error;
+}
+
+// DNS lookup for JSON webhooks that refuses private addresses when connecting (so DNS changes cannot sneak past the check)
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) return callback(createPrivateAddressError(hostname, blocked.address));
+    callback(null, addresses);
+  });
+}
+
+// Check a JSON webhook URL: https only, and every address it resolves to must be public
+// Returns an error message, or null when the URL is fine
+async function checkWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'That is not a valid URL.';
+  }
+  if (parsed.protocol !== 'https:') return 'The URL must start with `https://`.';
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    return `Could not resolve ${hostname}.`;
+  }
+
+  const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+  return blocked ? `${hostname} points to a private or local address, which webhooks cannot use.` : null;
+}
+
+// Send one delivery attempt; Discord webhooks edit the message they posted for updates
+// Returns { status, messageId }
+async function sendWebhookRequest(hook, payload, messageId) {
+  if (hook.type === 'discord') {
+    const body = createDiscordWebhookBody(payload);
+    const response = messageId && payload.event !== 'approved' && payload.event !== 'test'
+      ? await axios.patch(`${hook.url}/messages/${messageId}`, body, { timeout: WEBHOOK_TIMEOUT_MS })
+      : await axios.post(`${hook.url}?wait=true`, body, { timeout: WEBHOOK_TIMEOUT_MS });
+    return { status: response.status, messageId: response.data?.id || messageId };
+  }
+
+  // IP literals skip DNS lookups, so check the URL itself before every delivery too
+  const problem = await checkWebhookUrl(hook.url);
+  if (problem) {
+    const error = new Error(problem);
+    error.code = 'EPRIVATEADDRESS';
+    throw error;
+  }
+
+  const body = JSON.stringify(payload);
+  const signature = crypto.createHmac('sha256', hook.secret).update(body).digest('hex');
+  const response = await axios.post(hook.url, body, {
+    timeout: WEBHOOK_TIMEOUT_MS,
+    lookup: publicOnlyLookup,
+    maxRedirects: 0,
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': `osu-tournament-bot/${BOT_VERSION}`,
+      'X-Tournament-Event': payload.event,
+      'X-Tournament-Signature': `sha256=${signature}`
+    }
+  });
+  return { status: response.status, messageId: null };
+}
+
+// Deliver to one webhook with retries; failures end up in the dead-letter log
+async function deliverWebhook(guildId, hook, payload, link, retryDelays = WEBHOOK_RETRY_DELAYS_MS) {
+  const entry = link ? getProcessedEntry(guildId, link) : null;
+  const messageId = entry?.webhookMessages?.[hook.id];
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= retryDelays.length; attempt++) {
+    try {
+      const result = await sendWebhookRequest(hook, payload, messageId);
+
+      // Remember the mirrored Discord message so later updates edit it (the entry may have been replaced meanwhile)
+      const current = link ? getProcessedEntry(guildId, link) : null;
+      if (current && result.messageId && result.messageId !== messageId) {
+        current.webhookMessages = { ...current.webhookMessages, [hook.id]: result.messageId };
+        saveProcessedTournaments();
+      }
+      hook.lastDelivery = { ok: true, at: new Date().toISOString(), status: result.status };
+      saveServerConfigs();
+      return { ok: true, status: result.status };
+    } catch (error) {
+      const status = error.response?.status;
+      lastError = status ? `HTTP ${status}` : error.message;
+
+      // Blocked addresses and client errors other than rate limits will not get better by retrying
+      const retryable = error.code !== 'EPRIVATEADDRESS' && (!status || status === 429 || status >= 500);
+      if (!retryable || attempt === retryDelays.length) break;
+
+      const retryAfter = parseFloat(error.response?.headers?.['retry-after']);
+      const delay = Number.isFinite(retryAfter) ? Math.max(retryAfter * 1000, retryDelays[attempt]) : retryDelays[attempt];
+      console.log(`⏳ Webhook ${hook.id} failed (${lastError}), retrying in ${Math.round(delay / 1000)}s`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  hook.lastDelivery = { ok: false, at: new Date().toISOString(), error: lastError };
+  saveServerConfigs();
+
+  if (payload.event !== 'test') {
+    deadLetters.push({
+      id: crypto.randomBytes(4).toString('hex'),
+      at: new Date().toISOString(),
+      guildId,
+      hookId: hook.id,
+      event: payload.event,
+      link,
+      payload,
+      error: lastError,
+      attempts: retryDelays.length + 1
+    });
+    deadLetters = deadLetters.slice(-DEAD_LETTER_MAX_ENTRIES);
+    saveDeadLetters();
+    console.error(`❌ Webhook ${hook.id} gave up on ${payload.event} for ${payload.tournament.name}: ${lastError}`);
+  }
+  return { ok: false, error: lastError };
+}
+
+// Fire an event at every webhook of a server that subscribed to it (runs in the background)
+// Never throws: webhooks must not get in the way of publishing
+function dispatchWebhooks(guildId, event, link) {
+  const config = serverConfigs.get(guildId);
+  const hooks = (config?.webhooks || []).filter(hook => hook.events.includes(event));
+  const entry = getProcessedEntry(guildId, link);
+  if (hooks.length === 0 || !entry?.data) return;
+
+  let payload;
+  try {
+    payload = createWebhookPayload(event, guildId, entry);
+  } catch (error) {
+    console.error(`Error building the ${event} webhook payload for ${entry.data.name}:`, error.message);
+    return;
+  }
+
+  for (const hook of hooks) {
+    deliverWebhook(guildId, hook, payload, link).catch(error => {
+      console.error(`Error delivering webhook ${hook.id}:`, error.message);
+    });
+  }
+}
+
+// Shorten a webhook URL for display
+function maskWebhookUrl(url) {
+  const parsed = new URL(url);
+  const path = parsed.pathname.length > 24 ? `${parsed.pathname.substring(0, 20)}…` : parsed.pathname;
+  return `${parsed.host}${path}`;
+}
+
+// Handle /webhooks command
+async function handleWebhooksCommand(interaction) {
+  if (!interaction.memberPermissions.has(PermissionFlagsBits.Administrator)) {
+    await interaction.reply({ content: '❌ You need Administrator permissions to use this command.', ephemeral: true });
+    return;
+  }
+
+  const config = serverConfigs.get(interaction.guild.id);
+  if (!config) {
+    await interaction.reply({ content: '❌ Server not configured. Run `/setup` first.', ephemeral: true });
+    return;
+  }
+
+  const subcommand = interaction.options.getSubcommand();
+  config.webhooks = config.webhooks || [];
+  const guildDeadLetters = deadLetters.filter(letter => letter.guildId === interaction.guild.id);
+
+  if (subcommand === 'add') {
+    const type = interaction.options.getString('type');
+    const url = interaction.options.getString('url').trim();
+    const eventsText = interaction.options.getString('events');
+    const events = eventsText
+      ? parseListOption(eventsText.toLowerCase()).filter(event => WEBHOOK_EVENTS.includes(event))
+      : [...WEBHOOK_EVENTS];
+
+    if (type === 'discord' && !DISCORD_WEBHOOK_PATTERN.test(url)) {
+      await interaction.reply({ content: '❌ That is not a Discord webhook URL (`https://discord.com/api/webhooks/...`).', ephemeral: true });
+      return;
+    }
+    if (events.length === 0) {
+      await interaction.reply({ content: `❌ Pick at least one event: ${WEBHOOK_EVENTS.join(', ')}.`, ephemeral: true });
+      return;
+    }
+    if (type === 'json') {
+      await interaction.deferReply({ ephemeral: true });
+      const problem = await checkWebhookUrl(url);
+      if (problem) {
+        await interaction.editReply({ content: `❌ ${problem}` });
+        return;
+      }
+    }
+
+    const hook = {
+      id: Math.max(0, ...config.webhooks.map(h => h.id)) + 1,
+      type,
+      url,
+      secret: type === 'json' ? crypto.randomBytes(24).toString('hex') : null,
+      events,
+      createdAt: new Date().toISOString(),
+      lastDelivery: null
+    };
+    config.webhooks.push(hook);
+    saveServerConfigs();
+
+    const content = `✅ Added webhook **#${hook.id}** (${type === 'discord' ? 'Discord' : 'JSON'}) for ${events.join(', ')}.\n` +
+                    (hook.secret
+                      ? `🔑 Signing secret (shown once): \`${hook.secret}\`\nEach request has an \`X-Tournament-Signature: sha256=<hex>\` header, the HMAC-SHA256 of the body with this secret.\n`
+                      : '') +
+                    `🧪 Try it with \`/webhooks test id:${hook.id}\`.`;
+    if (interaction.deferred) {
+      await interaction.editReply({ content });
+    } else {
+      await interaction.reply({ content, ephemeral: true });
+    }
+
+  } else if (subcommand === 'remove') {
+    const id = interaction.options.getInteger('id');
+    if (!config.webhooks.some(hook => hook.id === id)) {
+      await interaction.reply({ content: `❌ No webhook #${id}. See \`/webhooks list\`.`, ephemeral: true });
+      return;
+    }
+
+    config.webhooks = config.webhooks.filter(hook => hook.id !== id);
+    saveServerConfigs();
+    await interaction.reply({ content: `✅ Removed webhook **#${id}**.`, ephemeral: true });
+
+  } else if (subcommand === 'list') {
+    const lines = config.webhooks.map(hook => {
+      const last = hook.lastDelivery
+        ? `${hook.lastDelivery.ok ? '✅' : '❌'} <t:${Math.floor(Date.parse(hook.lastDelivery.at) / 1000)}:R>${hook.lastDelivery.ok ? '' : ` (${hook.lastDelivery.error})`}`
+        : 'never used';
+      return `**#${hook.id}** ${hook.type === 'discord' ? 'Discord' : 'JSON'} · \`${maskWebhookUrl(hook.url)}\`\n` +
+             `Events: ${hook.events.join(', ')} · Last delivery: ${last}`;
+    });
+
+    const embed = new EmbedBuilder()
+      .setColor('#3b82f6')
+      .setTitle('🔗 Webhooks')
+      .setDescription(
+        (lines.length > 0 ? lines.join('\n\n') : 'No webhooks. Add one with `/webhooks add`.') +
+        `\n\n📭 **Failed deliveries:** ${guildDeadLetters.length}` +
+        (guildDeadLetters.length > 0 ? ' (see `/webhooks failures`)' : '')
+      );
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+
+  } else if (subcommand === 'test') {
+    const id = interaction.options.getInteger('id');
+    const hook = config.webhooks.find(h => h.id === id);
+    if (!hook) {
+      await interaction.reply({ content: `❌ No webhook #${id}. See \`/webhooks list\`.`, ephemeral: true });
+      return;
+    }
 
-  console.log(`Showing ${tournamentsToShow.length} tournaments`);
-  const channel = await client.channels.fetch(config.draftChannelId);
+    const data = getLatestApprovedTournament(interaction.guild.id);
+    if (!data) {
+      await interaction.reply({ content: 'ℹ️ No approved tournaments yet. Approve one first, then test the webhook with it.', ephemeral: true });
+      return;
+    }
 
-  for (const tournament of tournamentsToShow) {
-    const rankRange = parseRankRange(tournament.title);
-    const teamSize = parseTeamSize(tournament.title);
-    const banner = await getTournamentBanner(tournament.link);
+    await interaction.deferReply({ ephemeral: true });
+    const entry = getProcessedEntry(interaction.guild.id, data.link);
+    const result = await deliverWebhook(interaction.guild.id, hook, createWebhookPayload('test', interaction.guild.id, entry), null, []);
 
-    const tournamentId = Buffer.from(tournament.link).toString('base64').substring(0, 80);
-    
-    const data = {
-      guildId,
-      name: tournament.title,
-      link: tournament.link,
-      rankRange,
-      teamSize,
-      comments: '',
-      banner: banner || ''
-    };
-    
-    draftData.set(tournamentId, data);
+    await interaction.editReply({
+      content: result.ok
+        ? `✅ Webhook **#${id}** answered with HTTP ${result.status} (sent **${data.name}** as a \`test\` event).`
+        : `❌ Webhook **#${id}** failed: ${result.error}`
+    });
+
+  } else if (subcommand === 'failures') {
+    const lines = guildDeadLetters.slice(-10).reverse().map(letter =>
+      `\`${letter.id}\` <t:${Math.floor(Date.parse(letter.at) / 1000)}:R> · webhook #${letter.hookId} · **${letter.event}** ` +
+      `[${letter.payload.tournament.name.substring(0, 60)}](${letter.link}) · ${letter.error}`
+    );
+
+    const embed = new EmbedBuilder()
+      .setColor(lines.length > 0 ? '#EF4444' : '#22C55E')
+      .setTitle('📭 Failed Webhook Deliveries')
+      .setDescription(lines.length > 0 ? `${lines.join('\n')}\n\nUse \`/webhooks retry\` to send them again.` : 'No failed deliveries.');
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+
+  } else if (subcommand === 'retry') {
+    if (guildDeadLetters.length === 0) {
+      await interaction.reply({ content: '✅ No failed deliveries to retry.', ephemeral: true });
+      return;
+    }
 
-    const embed = createDraftEmbed(data, config);
-    const buttons = createActionButtons(tournamentId);
+    await interaction.deferReply({ ephemeral: true });
 
-    await channel.send({ embeds: [embed], components: buttons });
+    let delivered = 0;
+    for (const letter of guildDeadLetters) {
+      deadLetters = deadLetters.filter(other => other !== letter);
+      const hook = config.webhooks.find(h => h.id === letter.hookId);
+      if (!hook) continue; // Webhook was removed
 
-    processedTournaments.add(tournament.link);
-    console.log(`Posted draft for: ${tournament.title}`);
+      // One attempt each; a failure goes back into the log
+      const result = await deliverWebhook(letter.guildId, hook, { ...letter.payload, sentAt: new Date().toISOString() }, letter.link, []);
+      if (result.ok) delivered++;
+    }
+    saveDeadLetters();
 
-    await new Promise(resolve => setTimeout(resolve, 2000));
+    const remaining = deadLetters.filter(letter => letter.guildId === interaction.guild.id).length;
+    await interaction.editReply({ content: `🔁 Delivered ${delivered} of ${guildDeadLetters.length}. ${remaining} still failing.` });
   }
-  
-  saveProcessedTournaments();
 }
 
-// Handle interactions
-client.on('interactionCreate', async interaction => {
-  try {
-    // Handle slash commands
-    if (interaction.isChatInputCommand()) {
-      if (interaction.commandName === 'setup') {
-        await handleSetupCommand(interaction);
-      } else if (interaction.commandName === 'about') {
-        await handleAboutCommand(interaction);
-      } else if (interaction.commandName === 'scan') {
-        await handleScanCommand(interaction);
-      } else if (interaction.commandName === 'autoscan') {
-        await handleAutoScanCommand(interaction);
-      }
+// Handle /feeds command
+async function handleFeedsCommand(interaction) {
+  if (!interaction.memberPermissions.has(PermissionFlagsBits.Administrator)) {
+    await interaction.reply({ content: '❌ You need Administrator permissions to use this command.', ephemeral: true });
+    return;
+  }
+
+  const config = serverConfigs.get(interaction.guild.id);
+  if (!config) {
+    await interaction.reply({ content: '❌ Server not configured. Run `/setup` first.', ephemeral: true });
+    return;
+  }
+
+  const regenerate = interaction.options.getSubcommand() === 'regenerate';
+  if (!config.feedToken || regenerate) {
+    config.feedToken = crypto.randomBytes(16).toString('hex');
+    saveServerConfigs();
+  }
+
+  const urls = getFeedUrls(interaction.guild.id, config.feedToken);
+  const embed = new EmbedBuilder()
+    .setColor(FEED_PORT ? '#22C55E' : '#6B7280')
+    .setTitle('📰 Tournament Feeds')
+    .setDescription(
+      (FEED_PORT ? '' : '⚠️ The feed server is off. Set `FEED_PORT` in `.env` and restart the bot to serve these URLs.\n\n') +
+      (regenerate ? '🔁 New token generated - the old URLs no longer work.\n\n' : '') +
+      `📅 **Calendar (iCal):**\n${urls.ics}\n\n` +
+      `📡 **RSS:**\n${urls.rss}\n\n` +
+      `⚛️ **Atom:**\n${urls.atom}\n\n` +
+      `🧩 **JSON:**\n${urls.json}\n\n` +
+      'Anyone with these links can read this server\'s announced tournaments. Use `/feeds regenerate` if a link leaks.'
+    );
+
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+// Handle /queue command
+async function handleQueueCommand(interaction) {
+  const config = serverConfigs.get(interaction.guild.id);
+  if (!canReview(interaction, config)) {
+    await interaction.reply({ content: '❌ You need Administrator permissions or the reviewer role to use this command.', ephemeral: true });
+    return;
+  }
+
+  if (!config) {
+    await interaction.reply({ content: '❌ Server not configured. Run `/setup` first.', ephemeral: true });
+    return;
+  }
+
+  const subcommand = interaction.options.getSubcommand();
+  const queue = getPublishQueue(interaction.guild.id);
+
+  if (subcommand === 'settings') {
+    if (!interaction.memberPermissions.has(PermissionFlagsBits.Administrator)) {
+      await interaction.reply({ content: '❌ You need Administrator permissions to change queue settings.', ephemeral: true });
       return;
     }
 
-    // Handle modal submission
-    if (interaction.isModalSubmit()) {
-      const tournamentId = interaction.customId.replace('edit_modal_', '');
-      const data = draftData.get(tournamentId);
-      
-      if (!data) {
-        await interaction.reply({ content: '❌ Tournament data not found', ephemeral: true });
+    const publishing = { ...DEFAULT_PUBLISHING, ...config.publishing };
+    const spacing = interaction.options.getInteger('spacing');
+    const quietStart = interaction.options.getInteger('quiet_start');
+    const quietEnd = interaction.options.getInteger('quiet_end');
+    const timezone = interaction.options.getString('timezone');
+
+    if (spacing !== null) publishing.spacingMinutes = spacing;
+    if (quietStart !== null) publishing.quietStart = quietStart;
+    if (quietEnd !== null) publishing.quietEnd = quietEnd;
+    if (interaction.options.getBoolean('no_quiet_hours')) {
+      publishing.quietStart = null;
+      publishing.quietEnd = null;
+    }
+    if (timezone !== null) {
+      if (!/^\s*(utc|gmt)\s*([+-]\d{1,2}(:?\d{2})?)?\s*$/i.test(timezone)) {
+        await interaction.reply({ content: '❌ Timezone must look like `UTC`, `UTC+2` or `UTC-5:30`.', ephemeral: true });
         return;
       }
+      publishing.utcOffsetMinutes = parseTimezoneOffset(timezone);
+    }
 
-      data.name = interaction.fields.getTextInputValue('name_input');
-      
-      const rankRangeStr = interaction.fields.getTextInputValue('rank_range_input').trim();
-      if (/open\s*rank|open|unrestricted|all\s*ranks|no\s*rank/i.test(rankRangeStr)) {
-        data.rankRange = { min: 1, max: 1000000, isOpen: true };
-      } else {
-        const rankParts = rankRangeStr.split('-').map(s => parseInt(s.trim().replace(/,/g, '')));
-        if (rankParts.length === 2 && !isNaN(rankParts[0]) && !isNaN(rankParts[1])) {
-          data.rankRange = { min: rankParts[0], max: rankParts[1], isOpen: false };
-        }
-      }
-      
-      data.teamSize = interaction.fields.getTextInputValue('team_size_input');
-      data.banner = interaction.fields.getTextInputValue('banner_input') || '';
-      data.comments = interaction.fields.getTextInputValue('comments_input') || '';
+    config.publishing = publishing;
+    saveServerConfigs();
+  }
 
-      draftData.set(tournamentId, data);
+  if (subcommand === 'move') {
+    const from = interaction.options.getInteger('position') - 1;
+    const to = interaction.options.getInteger('to') - 1;
+    if (!queue.items[from]) {
+      await interaction.reply({ content: `❌ There is no announcement at position ${from + 1}.`, ephemeral: true });
+      return;
+    }
 
-      const config = serverConfigs.get(data.guildId);
-      const updatedEmbed = createDraftEmbed(data, config);
-      const buttons = createActionButtons(tournamentId);
+    const [item] = queue.items.splice(from, 1);
+    queue.items.splice(Math.min(to, queue.items.length), 0, item);
+    savePublishQueues();
+  }
 
-      await interaction.update({ embeds: [updatedEmbed], components: buttons });
-      console.log(`✅ Draft updated by ${interaction.user.tag}`);
+  if (subcommand === 'cancel') {
+    const index = interaction.options.getInteger('position') - 1;
+    const item = queue.items[index];
+    if (!item) {
+      await interaction.reply({ content: `❌ There is no announcement at position ${index + 1}.`, ephemeral: true });
+      return;
+    }
+    if (queueItemsPublishing.has(item.id)) {
+      await interaction.reply({ content: '⏳ That announcement is being published right now and can no longer be cancelled.', ephemeral: true });
       return;
     }
 
-    // Handle button clicks
-    if (!interaction.isButton()) return;
+    queue.items.splice(index, 1);
+    savePublishQueues();
 
-    const [action, tournamentId] = interaction.customId.split('_');
-    const data = draftData.get(tournamentId);
-    
-    if (!data) {
-      await interaction.reply({ content: '❌ Tournament data not found', ephemeral: true });
+    // Back to a normal draft so it can be reviewed again
+    const data = { ...item.data, approvals: [] };
+    draftData.set(item.tournamentId, data);
+    saveDrafts();
+    markTournamentProcessed(data.guildId, data.link, 'drafted');
+    saveProcessedTournaments();
+    try {
+      await renderDraft(item.tournamentId, data);
+    } catch (error) {
+      // The draft is saved, so restoreDrafts posts it on the next start
+      console.error(`Error posting draft for ${data.name}:`, error.message);
+    }
+    await recordAudit(data.guildId, interaction.user, 'unqueue', data);
+  }
+
+  const publishing = { ...DEFAULT_PUBLISHING, ...config.publishing };
+  const estimates = estimatePublishTimes(interaction.guild.id);
+  const lines = queue.items.map((item, index) => {
+    const at = Math.floor(estimates[index] / 1000);
+    const requested = item.notBefore ? ' (scheduled)' : '';
+    return `**${index + 1}.** [${item.data.name.substring(0, 80)}](${item.data.link}) - <t:${at}:R>${requested} · queued by ${item.queuedBy}`;
+  });
+
+  const offset = publishing.utcOffsetMinutes;
+  const timezone = `UTC${offset ? `${offset > 0 ? '+' : '-'}${Math.floor(Math.abs(offset) / 60)}${Math.abs(offset) % 60 ? `:${String(Math.abs(offset) % 60).padStart(2, '0')}` : ''}` : ''}`;
+  const quietText = publishing.quietStart !== null && publishing.quietEnd !== null && publishing.quietStart !== publishing.quietEnd
+    ? `${String(publishing.quietStart).padStart(2, '0')}:00-${String(publishing.quietEnd).padStart(2, '0')}:00 ${timezone}`
+    : 'None';
+
+  const embed = new EmbedBuilder()
+    .setColor('#3b82f6')
+    .setTitle('🕒 Announcement Queue')
+    .setDescription(
+      `🌙 **Quiet hours:** ${quietText}\n` +
+      `⏱️ **Spacing:** ${publishing.spacingMinutes ? `${publishing.spacingMinutes} minutes` : 'None'}\n\n` +
+      (lines.length > 0 ? lines.join('\n').substring(0, 3800) : 'Nothing queued. Use **🕒 Approve & Schedule** on a draft.')
+    )
+    .setTimestamp();
+
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+// Handle /reviewer command
+async function handleReviewerCommand(interaction) {
+  if (!interaction.memberPermissions.has(PermissionFlagsBits.Administrator)) {
+    await interaction.reply({ content: '❌ You need Administrator permissions to use this command.', ephemeral: true });
+    return;
+  }
+
+  const config = serverConfigs.get(interaction.guild.id);
+  if (!config) {
+    await interaction.reply({ content: '❌ Server not configured. Run `/setup` first.', ephemeral: true });
+    return;
+  }
+
+  const role = interaction.options.getRole('role');
+  const quorum = interaction.options.getInteger('quorum');
+  if (role) {
+    config.reviewerRoleId = role.id;
+  } else if (interaction.options.getBoolean('clear')) {
+    config.reviewerRoleId = null;
+  }
+  if (quorum !== null) config.approvalQuorum = quorum;
+  saveServerConfigs();
+
+  const currentQuorum = config.approvalQuorum || 1;
+  await interaction.reply({
+    content: (config.reviewerRoleId
+      ? `👮 **Reviewer role:** <@&${config.reviewerRoleId}>\nMembers with this role (and administrators) can use the draft buttons, \`/scan\`, \`/autoscan\` and \`/audit\`.`
+      : '👮 **Reviewer role:** None - only administrators can review drafts.') +
+      (currentQuorum > 1
+        ? `\n🗳️ **Quorum:** ${currentQuorum} approvals are needed to publish. One Deny discards the draft, and editing a draft resets its approvals. Auto-approval is paused while the quorum is on.`
+        : '\n🗳️ **Quorum:** Off - one approval publishes.'),
+    ephemeral: true,
+    allowedMentions: { parse: [] }
+  });
+}
+
+// Handle /audit command
+async function handleAuditCommand(interaction) {
+  const config = serverConfigs.get(interaction.guild.id);
+  if (!config) {
+    await interaction.reply({ content: '❌ Server not configured. Run `/setup` first.', ephemeral: true });
+    return;
+  }
+
+  const subcommand = interaction.options.getSubcommand();
+
+  if (subcommand === 'channel') {
+    if (!interaction.memberPermissions.has(PermissionFlagsBits.Administrator)) {
+      await interaction.reply({ content: '❌ You need Administrator permissions to use this command.', ephemeral: true });
       return;
     }
 
-    const config = serverConfigs.get(data.guildId);
+    const channel = interaction.options.getChannel('channel');
+    config.auditChannelId = channel?.id || null;
+    saveServerConfigs();
 
-    if (action === 'edit') {
-      const modal = new ModalBuilder()
-        .setCustomId(`edit_modal_${tournamentId}`)
-        .setTitle('Edit Tournament Details');
+    await interaction.reply({
+      content: channel ? `✅ Review actions will be logged in ${channel}.` : '✅ Review actions are no longer posted to a channel.',
+      ephemeral: true
+    });
+    return;
+  }
 
-      modal.addComponents(
-        new ActionRowBuilder().addComponents(
-          new TextInputBuilder()
-            .setCustomId('name_input')
-            .setLabel('Tournament Name')
-            .setStyle(TextInputStyle.Short)
-            .setValue(data.name)
-            .setRequired(true)
-        ),
-        new ActionRowBuilder().addComponents(
-          new TextInputBuilder()
-            .setCustomId('rank_range_input')
-            .setLabel('Rank Range (e.g., 10000-99999 or "open")')
-            .setStyle(TextInputStyle.Short)
-            .setValue(data.rankRange ? (data.rankRange.isOpen ? 'Open Rank' : `${data.rankRange.min}-${data.rankRange.max}`) : '1-999999')
-            .setRequired(true)
-        ),
-        new ActionRowBuilder().addComponents(
-          new TextInputBuilder()
-            .setCustomId('team_size_input')
-            .setLabel('Team Size (e.g., 3v3, 2v2 TS4, 1v1)')
-            .setStyle(TextInputStyle.Short)
-            .setValue(data.teamSize)
-            .setRequired(true)
-        ),
-        new ActionRowBuilder().addComponents(
-          new TextInputBuilder()
-            .setCustomId('banner_input')
-            .setLabel('Banner Image URL (optional)')
-            .setStyle(TextInputStyle.Short)
-            .setValue(data.banner || '')
-            .setRequired(false)
-        ),
-        new ActionRowBuilder().addComponents(
-          new TextInputBuilder()
-            .setCustomId('comments_input')
-            .setLabel('Additional Info (host, notes, etc.)')
-            .setStyle(TextInputStyle.Paragraph)
-            .setValue(data.comments || '')
-            .setRequired(false)
-        )
-      );
+  if (!canReview(interaction, config)) {
+    await interaction.reply({ content: '❌ You need Administrator permissions or the reviewer role to use this command.', ephemeral: true });
+    return;
+  }
 
-      await interaction.showModal(modal);
-      
-    } else if (action === 'approve') {
-      await interaction.deferUpdate();
+  const user = interaction.options.getUser('user');
+  const search = interaction.options.getString('tournament')?.toLowerCase();
+  const entries = (auditLog.get(interaction.guild.id) || [])
+    .filter(entry => !user || entry.userId === user.id)
+    .filter(entry => !search || entry.name.toLowerCase().includes(search))
+    .slice(-15)
+    .reverse();
 
-      const rankRoles = getRankRolesToPing(data.rankRange, config);
-      const announcement = formatAnnouncement(data, rankRoles, config);
+  // One entry with its diff, or a list of recent entries
+  if (entries.length === 1 || (search && entries.length > 0 && entries[0].name.toLowerCase() === search)) {
+    await interaction.reply({ embeds: [createAuditEmbed(entries[0])], ephemeral: true, allowedMentions: { parse: [] } });
+    return;
+  }
 
-      const announcementChannel = await client.channels.fetch(config.announcementChannelId);
-      await announcementChannel.send({
-        content: announcement.content,
-        embeds: [announcement.embed]
-      });
+  const lines = entries.map(entry => {
+    const info = AUDIT_ACTIONS[entry.action];
+    const by = entry.userId ? `<@${entry.userId}>` : entry.userTag;
+    const changes = entry.changes.length > 0 ? ` - ${entry.changes.map(change => change.field).join(', ')}` : '';
+    return `${info.emoji} <t:${Math.floor(Date.parse(entry.at) / 1000)}:R> **${info.label}** [${entry.name.substring(0, 80)}](${entry.link}) by ${by}${changes}`;
+  });
 
-      await interaction.editReply({
-        content: '✅ **Approved and sent!**',
-        embeds: [],
-        components: []
-      });
+  const embed = new EmbedBuilder()
+    .setColor('#3b82f6')
+    .setTitle('📜 Review Audit Log')
+    .setDescription(lines.length > 0 ? lines.join('\n').substring(0, 4096) : 'No review actions recorded yet.')
+    .setFooter({ text: 'Use the tournament option to see the full before/after diff' });
 
-      draftData.delete(tournamentId);
-      console.log(`✅ Tournament approved by ${interaction.user.tag}`);
+  await interaction.reply({ embeds: [embed], ephemeral: true, allowedMentions: { parse: [] } });
+}
 
-    } else if (action === 'deny') {
-      await interaction.deferUpdate();
+// Handle /regions command
+async function handleRegionsCommand(interaction) {
+  if (!interaction.memberPermissions.has(PermissionFlagsBits.Administrator)) {
+    await interaction.reply({ content: '❌ You need Administrator permissions to use this command.', ephemeral: true });
+    return;
+  }
 
-      await interaction.editReply({
-        content: '❌ **Denied and discarded**',
-        embeds: [],
-        components: []
-      });
+  const config = serverConfigs.get(interaction.guild.id);
+  if (!config) {
+    await interaction.reply({ content: '❌ Server not configured. Run `/setup` first.', ephemeral: true });
+    return;
+  }
 
-      draftData.delete(tournamentId);
-      console.log(`❌ Tournament denied by ${interaction.user.tag}`);
+  const subcommand = interaction.options.getSubcommand();
+  const formatCode = code => REGIONS[code] ? REGIONS[code] : `${getCountryFlag(code)} ${COUNTRIES[code][0]}`;
+
+  if (subcommand === 'role') {
+    const code = parseRegionCode(interaction.options.getString('region'));
+    if (!code) {
+      await interaction.reply({ content: `❌ Unknown region or country. Regions: ${Object.keys(REGIONS).join(', ')}; countries use their two-letter code.`, ephemeral: true });
+      return;
     }
 
-  } catch (error) {
-    console.error('❌ ERROR:', error);
-    console.error(error.stack);
+    const role = interaction.options.getRole('role');
+    if (role) {
+      config.roles[`region_${code}`] = role.id;
+    } else {
+      delete config.roles[`region_${code}`];
+    }
+    saveServerConfigs();
+    await refreshRolePanels();
+
+    await interaction.reply({
+      content: role
+        ? `✅ Tournaments restricted to **${formatCode(code)}** will ping ${role} instead of the rank roles.`
+        : `✅ Removed the regional role for **${formatCode(code)}**.`,
+      ephemeral: true,
+      allowedMentions: { parse: [] }
+    });
+
+  } else if (subcommand === 'home') {
+    const text = interaction.options.getString('regions');
+    const codes = /^\s*(none|all|any)\s*$/i.test(text) ? [] : text.split(',').map(parseRegionCode);
+    if (codes.some(code => !code)) {
+      await interaction.reply({ content: '❌ Could not read one of the regions. Use names or codes like `EU, BR`.', ephemeral: true });
+      return;
+    }
+
+    config.homeRegions = [...new Set(codes)];
+    saveServerConfigs();
+
+    await interaction.reply({
+      content: config.homeRegions.length > 0
+        ? `✅ Tournaments restricted to other regions will be skipped. Home: **${config.homeRegions.map(formatCode).join(', ')}**`
+        : '✅ No home region. Restricted tournaments from every region are drafted.',
+      ephemeral: true
+    });
+
+  } else if (subcommand === 'list') {
+    const roleLines = Object.entries(config.roles)
+      .filter(([key, roleId]) => key.startsWith('region_') && roleId)
+      .map(([key, roleId]) => `• ${formatCode(key.replace('region_', ''))} → <@&${roleId}>`);
+
+    const embed = new EmbedBuilder()
+      .setColor('#3b82f6')
+      .setTitle('🌍 Regions')
+      .setDescription(
+        `**Home region:** ${config.homeRegions?.length ? config.homeRegions.map(formatCode).join(', ') : 'None (all regions)'}\n` +
+        `**Skipped for other regions:** ${config.regionSkipped || 0}\n\n` +
+        `**Regional roles:**\n${roleLines.length > 0 ? roleLines.join('\n') : 'None'}\n\n` +
+        'Restricted tournaments ping the matching regional roles instead of the rank roles. ' +
+        'Without a matching regional role, the rank roles are pinged as usual.'
+      );
+
+    await interaction.reply({ embeds: [embed], ephemeral: true, allowedMentions: { parse: [] } });
   }
-});
+}
 
-// Handle /setup command
-async function handleSetupCommand(interaction) {
+// Handle /filters command
+async function handleFiltersCommand(interaction) {
   if (!interaction.memberPermissions.has(PermissionFlagsBits.Administrator)) {
     await interaction.reply({ content: '❌ You need Administrator permissions to use this command.', ephemeral: true });
     return;
   }
 
-  await interaction.deferReply({ ephemeral: true });
+  const config = serverConfigs.get(interaction.guild.id);
+  if (!config) {
+    await interaction.reply({ content: '❌ Server not configured. Run `/setup` first.', ephemeral: true });
+    return;
+  }
 
-  try {
-    const guild = interaction.guild;
-    const announcementChannel = interaction.options.getChannel('announcement_channel');
+  const subcommand = interaction.options.getSubcommand();
+  config.filters = config.filters || [];
 
-    // Create or find roles
-    const roles = {};
-    const roleNames = {
-      'openrank': 'Open Rank Tourney Pings',
-      '3digit': '3 Digit Tourney Pings',
-      '4digit': '4 Digit Tourney Pings',
-      '5digit': '5 Digit Tourney Pings',
-      '6digit': '6 Digit Tourney Pings'
-    };
+  if (subcommand === 'add') {
+    const type = interaction.options.getString('type');
+    const pattern = interaction.options.getString('pattern').trim();
+    const isRegex = interaction.options.getBoolean('regex') || false;
+    const target = interaction.options.getString('target') || 'title';
 
-    for (const [key, name] of Object.entries(roleNames)) {
-      let role = guild.roles.cache.find(r => r.name === name);
-      if (!role) {
-        role = await guild.roles.create({
-          name: name,
-          color: ROLE_COLORS[key],
-          mentionable: true,
-          reason: 'osu! Tournament Bot Setup'
-        });
-        console.log(`Created role: ${name}`);
-      } else {
-        console.log(`Found existing role: ${name}`);
+    if (isRegex) {
+      try {
+        new RegExp(pattern, 'i');
+      } catch (error) {
+        await interaction.reply({ content: `❌ Invalid regex: ${error.message}`, ephemeral: true });
+        return;
       }
-      roles[key] = role.id;
-    }
-
-    // Create draft channel
-    let draftChannel = guild.channels.cache.find(c => c.name === 'tournament-review');
-    if (!draftChannel) {
-      draftChannel = await guild.channels.create({
-        name: 'tournament-review',
-        type: ChannelType.GuildText,
-        permissionOverwrites: [
-          {
-            id: guild.roles.everyone.id,
-            deny: [PermissionFlagsBits.ViewChannel]
-          },
-          {
-            id: guild.members.me.id,
-            allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages]
-          }
-        ],
-        reason: 'osu! Tournament Bot Setup'
-      });
-      console.log('Created #tournament-review channel');
     }
 
-    // Save configuration
-    const config = {
-      guildId: guild.id,
-      draftChannelId: draftChannel.id,
-      announcementChannelId: announcementChannel.id,
-      roles: roles
+    const filter = {
+      id: Math.max(0, ...config.filters.map(f => f.id)) + 1,
+      type,
+      pattern,
+      isRegex,
+      target,
+      suppressed: 0,
+      createdAt: new Date().toISOString()
     };
+    config.filters.push(filter);
+    saveServerConfigs();
 
-    serverConfigs.set(guild.id, config);
+    await interaction.reply({
+      content: `✅ Added ${type} filter **#${filter.id}**: ${isRegex ? 'regex' : 'keyword'} \`${pattern}\` on the ${target === 'both' ? 'title and post' : target}.\n` +
+               'ℹ️ Filters apply to topics found from now on.',
+      ephemeral: true
+    });
+
+  } else if (subcommand === 'remove') {
+    const id = interaction.options.getInteger('id');
+    const filter = config.filters.find(f => f.id === id);
+    if (!filter) {
+      await interaction.reply({ content: `❌ No filter #${id}. See \`/filters list\`.`, ephemeral: true });
+      return;
+    }
+
+    config.filters = config.filters.filter(f => f !== filter);
     saveServerConfigs();
+    await interaction.reply({ content: `✅ Removed filter **#${id}** (\`${filter.pattern}\`).`, ephemeral: true });
 
-    const embed = new EmbedBuilder()
-      .setColor('#22C55E')
-      .setTitle('✅ Setup Complete!')
-      .setDescription(
-        `**Roles Created/Found:**\n` +
-        `${Object.values(roleNames).map(name => `• @${name}`).join('\n')}\n\n` +
-        `**Channels:**\n` +
-        `• Draft Review: ${draftChannel}\n` +
-        `• Announcements: ${announcementChannel}\n\n` +
-        `**Next Steps:**\n` +
-        `• Use \`/scan\` for a quick 1-minute check\n` +
-        `• Use \`/autoscan start\` for continuous monitoring\n` +
-        `• Drafts will appear in ${draftChannel}\n` +
-        `• Use \`/about\` to learn more\n\n` +
-        `💙 This bot was created by **${BOT_CREATOR}**\n` +
-        `⭐ Star on GitHub: ${GITHUB_URL}`
-      );
+  } else if (subcommand === 'list') {
+    const lines = config.filters.map(filter =>
+      `**#${filter.id}** ${filter.type === 'exclude' ? '🚫 Exclude' : '✅ Include'} ` +
+      `${filter.isRegex ? 'regex' : 'keyword'} \`${filter.pattern}\` (${filter.target}) - suppressed ${filter.suppressed || 0}`
+    );
 
-    await interaction.editReply({ embeds: [embed] });
+    let description = lines.length > 0 ? lines.join('\n') : 'No filters. Every topic becomes a draft.';
+    if (config.filters.some(filter => filter.type === 'include')) {
+      description += `\n\n📉 **Matched no include filter:** ${config.filterMisses || 0}`;
+    }
 
-  } catch (error) {
-    console.error('Setup error:', error);
-    await interaction.editReply({ content: `❌ Setup failed: ${error.message}` });
+    const embed = new EmbedBuilder()
+      .setColor('#3b82f6')
+      .setTitle('🧹 Topic Filters')
+      .setDescription(description)
+      .setFooter({ text: 'Exclude filters win; with include filters, topics must match at least one' });
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
   }
 }
 
-// Handle /about command
-async function handleAboutCommand(interaction) {
-  const embed = new EmbedBuilder()
-    .setColor('#3b82f6')
-    .setTitle('🎮 osu! Tournament Notification Bot')
-    .setDescription(
-      `This bot gets a list of the most recent tournaments posted in the osu! community website, and is sent out to the public after being approved. A tourney can either be rejected, accepted, or edited for more information.`
-    )
-    .addFields(
-      {
-        name: '✨ Key Features',
-        value: 
-          '• Auto-detects rank ranges and team sizes\n' +
-          '• Fetches tournament banners automatically\n' +
-          '• Smart role-based pinging\n' +
-          '• Edit tournaments before posting\n' +
-          '• Multi-server support',
-        inline: false
-      },
-      {
-        name: '📝 Commands',
-        value:
-          '`/setup` - Initial server setup (Admin only)\n' +
-          '`/scan` - Quick scan for 1 minute (Admin only)\n' +
-          '`/autoscan start` - Start continuous scanning (Admin only)\n' +
-          '`/autoscan stop` - Stop continuous scanning (Admin only)\n' +
-          '`/autoscan status` - Check scan status (Admin only)\n' +
-          '`/about` - Show this information',
-        inline: false
-      },
-      {
-        name: '👤 Creator',
-        value: `**${BOT_CREATOR}**\n[GitHub](${GITHUB_URL})`,
-        inline: true
-      },
-      {
-        name: '📌 Version',
-        value: BOT_VERSION,
-        inline: true
-      },
-      {
-        name: '🎨 Banner Art',
-        value: 'Artwork by [h3p0](https://osu.ppy.sh/users/18091103) from osu! Winter 2025 Fanart Contest',
-        inline: false
-      }
-    )
-    .setImage('https://assets.ppy.sh/contests/269/entries/Arrogant%20Monitor.jpg')
-    .setThumbnail('https://upload.wikimedia.org/wikipedia/commons/d/d3/Osu%21Logo_%282015%29.png')
-    .setFooter({ text: `Bot by ${BOT_CREATOR}` })
-    .setTimestamp();
-
-  await interaction.reply({ embeds: [embed], ephemeral: true });
+// Split a comma-separated option into a list ("none" clears it)
+function parseListOption(text) {
+  if (/^\s*(none|clear|any|all)\s*$/i.test(text)) return [];
+  return [...new Set(text.split(',').map(item => item.trim()).filter(Boolean))];
 }
 
-// Handle /scan command (one-time scan for 1 minute)
-async function handleScanCommand(interaction) {
+// Handle /autoapprove command
+async function handleAutoApproveCommand(interaction) {
   if (!interaction.memberPermissions.has(PermissionFlagsBits.Administrator)) {
     await interaction.reply({ content: '❌ You need Administrator permissions to use this command.', ephemeral: true });
     return;
@@ -718,39 +5344,57 @@ async function handleScanCommand(interaction) {
     return;
   }
 
-  await interaction.reply({ content: '🔍 Starting quick scan... Will check for up to 1 minute or until new tournaments are found.', ephemeral: true });
+  const rules = { ...DEFAULT_AUTO_APPROVE, ...config.autoApprove };
+  const options = interaction.options;
 
-  const startTime = Date.now();
-  const maxDuration = 60000; // 1 minute
-  const checkInterval = 10000; // Check every 10 seconds
-  let foundNew = false;
+  if (options.getBoolean('enabled') !== null) rules.enabled = options.getBoolean('enabled');
+  if (options.getInteger('min_confidence') !== null) rules.minConfidence = options.getInteger('min_confidence');
+  if (options.getInteger('max_pings') !== null) rules.maxPings = options.getInteger('max_pings');
+  if (options.getString('require') !== null) {
+    rules.requiredFields = parseListOption(options.getString('require').toLowerCase())
+      .filter(field => ['rank', 'format', 'mode', 'registration'].includes(field));
+  }
+  if (options.getString('modes') !== null) {
+    rules.modes = parseListOption(options.getString('modes').toLowerCase())
+      .map(name => parseGameMode(name) || (name === 'catch' ? 'fruits' : null))
+      .filter(Boolean);
+  }
+  if (options.getString('include') !== null) rules.includeKeywords = parseListOption(options.getString('include'));
+  if (options.getString('exclude') !== null) rules.excludeKeywords = parseListOption(options.getString('exclude'));
 
-  const scanLoop = setInterval(async () => {
-    const elapsed = Date.now() - startTime;
-    
-    if (elapsed >= maxDuration || foundNew) {
-      clearInterval(scanLoop);
-      if (!foundNew) {
-        await interaction.followUp({ content: '⏱️ Scan complete. No new tournaments found in the last minute.', ephemeral: true });
-      }
-      return;
-    }
+  config.autoApprove = rules;
+  saveServerConfigs();
+
+  const list = items => items.length > 0 ? items.map(item => `\`${item}\``).join(', ') : 'None';
+  const embed = new EmbedBuilder()
+    .setColor(rules.enabled ? '#22C55E' : '#6B7280')
+    .setTitle('🤖 Auto-Approval Rules')
+    .setDescription(
+      `${rules.enabled ? '✅ **Status:** On' : '⏸️ **Status:** Off'}\n` +
+      ((config.approvalQuorum || 1) > 1 ? `🗳️ **Paused:** the approval quorum of ${config.approvalQuorum} applies to every draft (see \`/reviewer\`)\n` : '') +
+      `📈 **Minimum confidence:** ${rules.minConfidence}%\n` +
+      `📋 **Required fields:** ${list(rules.requiredFields)}\n` +
+      `🎮 **Modes:** ${rules.modes.length > 0 ? rules.modes.map(mode => GAME_MODES[mode]).join(', ') : 'All modes'}\n` +
+      `🔔 **Max pings:** ${rules.maxPings}\n` +
+      `✅ **Title must contain one of:** ${list(rules.includeKeywords)}\n` +
+      `🚫 **Title must not contain:** ${list(rules.excludeKeywords)}\n\n` +
+      'Matching drafts are published automatically, with an Undo button in the review channel. ' +
+      'The first scan of a server and `/backfill` always go through review.'
+    );
 
-    console.log(`Scanning... (${Math.round(elapsed / 1000)}s elapsed)`);
-    const tournaments = await scrapeTournaments(50);
-    const newTournaments = tournaments.filter(t => t.isNew);
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+}
 
-    if (newTournaments.length > 0) {
-      foundNew = true;
-      clearInterval(scanLoop);
-      await checkTournaments(interaction.guild.id);
-      await interaction.followUp({ content: `✅ Found ${newTournaments.length} new tournament(s)! Check ${config.draftChannelId ? `<#${config.draftChannelId}>` : 'the draft channel'}.`, ephemeral: true });
-    }
-  }, checkInterval);
+// Most recent approved tournament in a server, used for template previews
+function getLatestApprovedTournament(guildId) {
+  const entries = [...(processedTournaments.get(guildId)?.values() || [])]
+    .filter(entry => entry.status === 'approved' && entry.data)
+    .sort((a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt));
+  return entries[0]?.data || null;
 }
 
-// Handle /autoscan command (continuous scanning)
-async function handleAutoScanCommand(interaction) {
+// Handle /template command
+async function handleTemplateCommand(interaction) {
   if (!interaction.memberPermissions.has(PermissionFlagsBits.Administrator)) {
     await interaction.reply({ content: '❌ You need Administrator permissions to use this command.', ephemeral: true });
     return;
@@ -762,71 +5406,140 @@ async function handleAutoScanCommand(interaction) {
     return;
   }
 
-  const action = interaction.options.getString('action');
+  const subcommand = interaction.options.getSubcommand();
 
-  if (action === 'start') {
-    if (autoScanIntervals.has(interaction.guild.id)) {
-      await interaction.reply({ content: '⚠️ Auto-scan is already running! Use `/autoscan stop` to stop it.', ephemeral: true });
-      return;
-    }
+  if (subcommand === 'edit') {
+    const template = { ...DEFAULT_ANNOUNCEMENT_TEMPLATE, ...config.announcementTemplate };
+    const format = interaction.options.getString('format') || template.format;
 
-    // Start continuous scanning every 5 minutes
-    const intervalId = setInterval(async () => {
-      console.log(`Auto-scan running for guild ${interaction.guild.id}`);
-      await checkTournaments(interaction.guild.id);
-    }, 300000); // 5 minutes
+    const modal = new ModalBuilder()
+      .setCustomId(`template_modal_${format}`)
+      .setTitle(format === 'text' ? 'Announcement Template (text)' : 'Announcement Template (embed)');
 
-    autoScanIntervals.set(interaction.guild.id, intervalId);
+    const inputs = [
+      new TextInputBuilder()
+        .setCustomId('content_input')
+        .setLabel(format === 'text' ? 'First line (pings go here)' : 'Message text above the embed')
+        .setStyle(TextInputStyle.Short)
+        .setValue(template.content || '')
+        .setRequired(false),
+      new TextInputBuilder()
+        .setCustomId('body_input')
+        .setLabel('Body - use {placeholders}')
+        .setStyle(TextInputStyle.Paragraph)
+        .setValue(template.body || '')
+        .setMaxLength(format === 'text' ? 1900 : 4000)
+        .setRequired(true)
+    ];
 
-    await interaction.reply({ 
-      content: '✅ **Auto-scan started!**\n' +
-               '🔄 The bot will now check for tournaments every 5 minutes.\n' +
-               '⏹️ Use `/autoscan stop` to stop scanning.',
-      ephemeral: true 
-    });
+    if (format !== 'text') {
+      inputs.splice(1, 0,
+        new TextInputBuilder()
+          .setCustomId('title_input')
+          .setLabel('Embed title')
+          .setStyle(TextInputStyle.Short)
+          .setValue(template.title || '{name}')
+          .setRequired(true)
+      );
+      inputs.push(
+        new TextInputBuilder()
+          .setCustomId('color_input')
+          .setLabel('Embed colour (hex)')
+          .setStyle(TextInputStyle.Short)
+          .setValue(template.color || '#3b82f6')
+          .setRequired(false),
+        new TextInputBuilder()
+          .setCustomId('footer_input')
+          .setLabel('Footer (empty for the default)')
+          .setStyle(TextInputStyle.Short)
+          .setValue(template.footer || '')
+          .setRequired(false)
+      );
+    }
 
-    // Do an immediate check
-    await checkTournaments(interaction.guild.id);
+    modal.addComponents(...inputs.map(input => new ActionRowBuilder().addComponents(input)));
+    await interaction.showModal(modal);
 
-  } else if (action === 'stop') {
-    const intervalId = autoScanIntervals.get(interaction.guild.id);
-    
-    if (!intervalId) {
-      await interaction.reply({ content: '⚠️ Auto-scan is not running.', ephemeral: true });
+  } else if (subcommand === 'preview') {
+    const data = getLatestApprovedTournament(interaction.guild.id);
+    if (!data) {
+      await interaction.reply({ content: 'ℹ️ No approved tournaments yet. Approve one first, then preview the template against it.', ephemeral: true });
       return;
     }
 
-    clearInterval(intervalId);
-    autoScanIntervals.delete(interaction.guild.id);
+    const rankRoles = getRolesToPing(data, config);
+    const announcement = formatAnnouncement(data, rankRoles, config);
+    const payload = getAnnouncementPayload(announcement);
+    const header = `👀 **Preview** (${config.announcementTemplate ? `custom ${config.announcementTemplate.format} template` : 'default layout'}) using **${data.name}**:\n\n`;
 
-    await interaction.reply({ content: '⏹️ **Auto-scan stopped.** Use `/autoscan start` to resume.', ephemeral: true });
+    await interaction.reply({
+      content: (header + (payload.content || '')).substring(0, 2000),
+      embeds: payload.embeds,
+      ephemeral: true,
+      allowedMentions: { parse: [] }
+    });
 
-  } else if (action === 'status') {
-    const isRunning = autoScanIntervals.has(interaction.guild.id);
-    
+  } else if (subcommand === 'placeholders') {
     const embed = new EmbedBuilder()
-      .setColor(isRunning ? '#22C55E' : '#6B7280')
-      .setTitle('🔍 Auto-Scan Status')
+      .setColor('#3b82f6')
+      .setTitle('🧩 Template Placeholders')
       .setDescription(
-        isRunning 
-          ? '✅ **Status:** Running\n⏱️ **Interval:** Every 5 minutes\n⏹️ Use `/autoscan stop` to stop.'
-          : '⏸️ **Status:** Not running\n▶️ Use `/autoscan start` to begin scanning.'
-      )
-      .setTimestamp();
+        Object.entries(TEMPLATE_PLACEHOLDERS).map(([key, description]) => `\`{${key}}\` - ${description}`).join('\n') +
+        '\n\nLines whose placeholders are all empty are left out.'
+      );
 
     await interaction.reply({ embeds: [embed], ephemeral: true });
+
+  } else if (subcommand === 'reset') {
+    delete config.announcementTemplate;
+    saveServerConfigs();
+    await interaction.reply({ content: '✅ Announcements are back to the default layout.', ephemeral: true });
+  }
+}
+
+// Save the announcement template from the /template edit modal
+async function handleTemplateModal(interaction) {
+  const config = serverConfigs.get(interaction.guild.id);
+  if (!config) {
+    await interaction.reply({ content: '❌ Server not configured. Run `/setup` first.', ephemeral: true });
+    return;
+  }
+
+  const format = interaction.customId.replace('template_modal_', '');
+  const template = {
+    format,
+    content: interaction.fields.getTextInputValue('content_input'),
+    body: interaction.fields.getTextInputValue('body_input')
+  };
+
+  if (format !== 'text') {
+    const color = interaction.fields.getTextInputValue('color_input').trim();
+    if (color && !/^#?[0-9a-f]{6}$/i.test(color)) {
+      await interaction.reply({ content: '❌ The colour must be a hex value like `#FF66AA`.', ephemeral: true });
+      return;
+    }
+    template.title = interaction.fields.getTextInputValue('title_input');
+    template.color = color ? `#${color.replace('#', '')}` : null;
+    template.footer = interaction.fields.getTextInputValue('footer_input');
   }
+
+  config.announcementTemplate = template;
+  saveServerConfigs();
+  console.log(`✅ Announcement template updated by ${interaction.user.tag}`);
+
+  await interaction.reply({ content: '✅ Template saved. Use `/template preview` to see it.', ephemeral: true });
 }
 
 // Message commands (admin only)
 client.on('messageCreate', async message => {
   if (message.content === '!check') {
-    if (!message.member.permissions.has(PermissionFlagsBits.Administrator)) {
-      await message.reply('❌ Only administrators can use this command.');
+    const config = serverConfigs.get(message.guild.id);
+    const isReviewer = Boolean(config?.reviewerRoleId) && message.member.roles.cache.has(config.reviewerRoleId);
+    if (!message.member.permissions.has(PermissionFlagsBits.Administrator) && !isReviewer) {
+      await message.reply('❌ Only administrators and reviewers can use this command.');
       return;
     }
 
-    const config = serverConfigs.get(message.guild.id);
     if (!config) {
       await message.reply('❌ Server not configured. Run `/setup` first.');
       return;
@@ -845,9 +5558,26 @@ client.on('ready', async () => {
   console.log('╚════════════════════════════════════════════╝\n');
   console.log(`✅ Logged in as ${client.user.tag}`);
   console.log(`📦 Running version ${BOT_VERSION}`);
+  console.log(`📡 Forum source: ${getForumSources().map(source => source.name).join(' → ')}`);
   
   loadServerConfigs();
   loadProcessedTournaments();
+  loadScheduledReminders();
+  loadDrafts();
+  loadLinkedUsers();
+  loadAuditLog();
+  loadPublishQueues();
+  loadDeadLetters();
+
+  // Check for due registration reminders every minute
+  await sendDueReminders();
+  reminderTimer = setInterval(sendDueReminders, 60000);
+
+  // Publish queued announcements (anything that came due while offline goes out first)
+  await drainPublishQueues();
+  queueTimer = setInterval(drainPublishQueues, QUEUE_TICK_MS);
+
+  startFeedServer();
 
   // Register slash commands
   const commands = [
@@ -858,6 +5588,11 @@ client.on('ready', async () => {
         option.setName('announcement_channel')
           .setDescription('Channel for tournament announcements')
           .setRequired(true)
+      )
+      .addStringOption(option =>
+        option.setName('modes')
+          .setDescription('Extra modes to create ping roles for, e.g. "taiko, mania" (default: all, or "none")')
+          .setRequired(false)
       ),
     new SlashCommandBuilder()
       .setName('about')
@@ -877,6 +5612,304 @@ client.on('ready', async () => {
             { name: 'Stop auto-scan', value: 'stop' },
             { name: 'Check status', value: 'status' }
           ))
+      .addIntegerOption(option =>
+        option.setName('interval')
+          .setDescription(`Minutes between scans when starting (default ${DEFAULT_SCAN_INTERVAL_MINUTES})`)
+          .setRequired(false)
+          .setMinValue(2)
+          .setMaxValue(1440)
+      ),
+    new SlashCommandBuilder()
+      .setName('backfill')
+      .setDescription('Draft every tournament posted since a date (skips existing drafts)')
+      .addStringOption(option =>
+        option.setName('since')
+          .setDescription('Date to start from, e.g. 2025-01-05')
+          .setRequired(true)
+      ),
+    new SlashCommandBuilder()
+      .setName('roles')
+      .setDescription('Pick which tournament pings you get')
+      .addStringOption(option =>
+        option.setName('action')
+          .setDescription('Action to perform')
+          .setRequired(false)
+          .addChoices(
+            { name: 'Pick my pings', value: 'pick' },
+            { name: 'Post the role panel here (Admin only)', value: 'panel' }
+          )),
+    new SlashCommandBuilder()
+      .setName('buckets')
+      .setDescription('Manage the rank buckets that decide who gets pinged')
+      .addSubcommand(subcommand =>
+        subcommand.setName('list')
+          .setDescription('List rank buckets'))
+      .addSubcommand(subcommand =>
+        subcommand.setName('add')
+          .setDescription('Add a rank bucket with its own ping role')
+          .addStringOption(option =>
+            option.setName('name').setDescription('Bucket name, e.g. "Top 50" or "7 Digit"').setRequired(true))
+          .addIntegerOption(option =>
+            option.setName('min').setDescription('Best rank in the bucket (default 1)').setRequired(false).setMinValue(1))
+          .addIntegerOption(option =>
+            option.setName('max').setDescription('Worst rank in the bucket (leave empty for no limit)').setRequired(false).setMinValue(1))
+          .addStringOption(option =>
+            option.setName('mode').setDescription('Game mode (default osu!standard)').setRequired(false)
+              .addChoices(...Object.entries(GAME_MODES).map(([value, name]) => ({ name, value }))))
+          .addBooleanOption(option =>
+            option.setName('open').setDescription('Ping this bucket for open rank tournaments instead').setRequired(false))
+          .addStringOption(option =>
+            option.setName('color').setDescription('Role colour, e.g. #FF66AA').setRequired(false))
+          .addRoleOption(option =>
+            option.setName('role').setDescription('Use an existing role instead of creating one').setRequired(false)))
+      .addSubcommand(subcommand =>
+        subcommand.setName('remove')
+          .setDescription('Remove a rank bucket')
+          .addStringOption(option =>
+            option.setName('name').setDescription('Bucket name').setRequired(true))
+          .addStringOption(option =>
+            option.setName('mode').setDescription('Game mode (default osu!standard)').setRequired(false)
+              .addChoices(...Object.entries(GAME_MODES).map(([value, name]) => ({ name, value }))))
+          .addBooleanOption(option =>
+            option.setName('delete_role').setDescription('Also delete the Discord role').setRequired(false))),
+    new SlashCommandBuilder()
+      .setName('link')
+      .setDescription('Link your osu! profile for personal tournament alerts')
+      .addStringOption(option =>
+        option.setName('username')
+          .setDescription('Your osu! username')
+          .setRequired(true)
+      ),
+    new SlashCommandBuilder()
+      .setName('unlink')
+      .setDescription('Unlink your osu! profile'),
+    new SlashCommandBuilder()
+      .setName('alerts')
+      .setDescription('Get DMs for tournaments your rank can enter')
+      .addBooleanOption(option =>
+        option.setName('dms')
+          .setDescription('Turn DM alerts on or off')
+          .setRequired(false)
+      )
+      .addStringOption(option =>
+        option.setName('modes')
+          .setDescription('Only these modes, e.g. "osu, mania" (or "all")')
+          .setRequired(false)
+      )
+      .addBooleanOption(option =>
+        option.setName('mute')
+          .setDescription('Pause DM alerts without losing your settings')
+          .setRequired(false)
+      ),
+    new SlashCommandBuilder()
+      .setName('topicupdates')
+      .setDescription('Show or configure notices when a tournament topic title changes')
+      .addBooleanOption(option =>
+        option.setName('notify')
+          .setDescription('Post a notice in the review channel when a title changes')
+          .setRequired(false)
+      ),
+    new SlashCommandBuilder()
+      .setName('webhooks')
+      .setDescription('Send approved tournaments to Discord webhooks or your own backend')
+      .addSubcommand(subcommand =>
+        subcommand.setName('list')
+          .setDescription('List webhooks and their last delivery'))
+      .addSubcommand(subcommand =>
+        subcommand.setName('add')
+          .setDescription('Add a webhook')
+          .addStringOption(option =>
+            option.setName('type').setDescription('Where to send').setRequired(true)
+              .addChoices({ name: 'Discord webhook', value: 'discord' }, { name: 'JSON POST (HMAC signed)', value: 'json' }))
+          .addStringOption(option =>
+            option.setName('url').setDescription('Webhook URL').setRequired(true))
+          .addStringOption(option =>
+            option.setName('events').setDescription('Comma-separated: approved, updated, cancelled (default: all)').setRequired(false)))
+      .addSubcommand(subcommand =>
+        subcommand.setName('remove')
+          .setDescription('Remove a webhook')
+          .addIntegerOption(option =>
+            option.setName('id').setDescription('Webhook number from /webhooks list').setRequired(true).setMinValue(1)))
+      .addSubcommand(subcommand =>
+        subcommand.setName('test')
+          .setDescription('Send the most recent approved tournament as a test event')
+          .addIntegerOption(option =>
+            option.setName('id').setDescription('Webhook number from /webhooks list').setRequired(true).setMinValue(1)))
+      .addSubcommand(subcommand =>
+        subcommand.setName('failures')
+          .setDescription('Show deliveries that failed after every retry'))
+      .addSubcommand(subcommand =>
+        subcommand.setName('retry')
+          .setDescription('Send failed deliveries again')),
+    new SlashCommandBuilder()
+      .setName('feeds')
+      .setDescription('Calendar, RSS/Atom and JSON feeds of announced tournaments')
+      .addSubcommand(subcommand =>
+        subcommand.setName('show')
+          .setDescription('Show this server\'s feed URLs'))
+      .addSubcommand(subcommand =>
+        subcommand.setName('regenerate')
+          .setDescription('Create a new feed token (old URLs stop working)')),
+    new SlashCommandBuilder()
+      .setName('tournaments')
+      .setDescription('Search tournaments this server has announced')
+      .addStringOption(option =>
+        option.setName('rank').setDescription('Only tournaments you can enter at this rank, e.g. 23k').setRequired(false))
+      .addStringOption(option =>
+        option.setName('mode').setDescription('Game mode').setRequired(false)
+          .addChoices(...Object.entries(GAME_MODES).map(([value, name]) => ({ name, value }))))
+      .addStringOption(option =>
+        option.setName('format').setDescription('Team size or format, e.g. 1v1, TS4').setRequired(false))
+      .addStringOption(option =>
+        option.setName('status').setDescription('Registration status').setRequired(false)
+          .addChoices(
+            { name: 'Open', value: 'open' },
+            { name: 'Not open yet', value: 'upcoming' },
+            { name: 'Closed', value: 'closed' },
+            { name: 'Cancelled', value: 'cancelled' }
+          )),
+    new SlashCommandBuilder()
+      .setName('queue')
+      .setDescription('Scheduled announcements')
+      .addSubcommand(subcommand =>
+        subcommand.setName('list')
+          .setDescription('Show queued announcements and when they will be published'))
+      .addSubcommand(subcommand =>
+        subcommand.setName('move')
+          .setDescription('Move a queued announcement to another position')
+          .addIntegerOption(option =>
+            option.setName('position').setDescription('Current position').setRequired(true).setMinValue(1))
+          .addIntegerOption(option =>
+            option.setName('to').setDescription('New position').setRequired(true).setMinValue(1)))
+      .addSubcommand(subcommand =>
+        subcommand.setName('cancel')
+          .setDescription('Take an announcement out of the queue and turn it back into a draft')
+          .addIntegerOption(option =>
+            option.setName('position').setDescription('Position in the queue').setRequired(true).setMinValue(1)))
+      .addSubcommand(subcommand =>
+        subcommand.setName('settings')
+          .setDescription('Quiet hours and spacing between announcements (Admin only)')
+          .addIntegerOption(option =>
+            option.setName('spacing').setDescription('Minimum minutes between announcements').setRequired(false).setMinValue(0).setMaxValue(1440))
+          .addIntegerOption(option =>
+            option.setName('quiet_start').setDescription('Hour quiet time starts (0-23)').setRequired(false).setMinValue(0).setMaxValue(23))
+          .addIntegerOption(option =>
+            option.setName('quiet_end').setDescription('Hour quiet time ends (0-23)').setRequired(false).setMinValue(0).setMaxValue(23))
+          .addStringOption(option =>
+            option.setName('timezone').setDescription('Timezone for quiet hours and times, e.g. UTC+2').setRequired(false))
+          .addBooleanOption(option =>
+            option.setName('no_quiet_hours').setDescription('Turn quiet hours off').setRequired(false))),
+    new SlashCommandBuilder()
+      .setName('reviewer')
+      .setDescription('Set the role that can review drafts and run scans')
+      .addRoleOption(option =>
+        option.setName('role').setDescription('Reviewer role').setRequired(false))
+      .addBooleanOption(option =>
+        option.setName('clear').setDescription('Remove the reviewer role (only administrators can review)').setRequired(false))
+      .addIntegerOption(option =>
+        option.setName('quorum').setDescription('Approvals needed before a draft is published (1 turns voting off)').setRequired(false).setMinValue(1).setMaxValue(10)),
+    new SlashCommandBuilder()
+      .setName('audit')
+      .setDescription('Review audit log')
+      .addSubcommand(subcommand =>
+        subcommand.setName('view')
+          .setDescription('Show recent approvals, denials and edits')
+          .addUserOption(option =>
+            option.setName('user').setDescription('Only actions by this reviewer').setRequired(false))
+          .addStringOption(option =>
+            option.setName('tournament').setDescription('Only tournaments whose name contains this').setRequired(false)))
+      .addSubcommand(subcommand =>
+        subcommand.setName('channel')
+          .setDescription('Mirror review actions to a log channel')
+          .addChannelOption(option =>
+            option.setName('channel').setDescription('Log channel (leave empty to stop)').setRequired(false).addChannelTypes(ChannelType.GuildText))),
+    new SlashCommandBuilder()
+      .setName('regions')
+      .setDescription('Configure regional ping roles and this server\'s home region')
+      .addSubcommand(subcommand =>
+        subcommand.setName('list')
+          .setDescription('Show regional roles and the home region'))
+      .addSubcommand(subcommand =>
+        subcommand.setName('role')
+          .setDescription('Set the role pinged for tournaments restricted to a region or country')
+          .addStringOption(option =>
+            option.setName('region').setDescription('Region (NA, SA, EU, ASIA, OCE, AF) or country code (BR, PL, ...)').setRequired(true))
+          .addRoleOption(option =>
+            option.setName('role').setDescription('Role to ping (leave empty to remove)').setRequired(false)))
+      .addSubcommand(subcommand =>
+        subcommand.setName('home')
+          .setDescription('Skip tournaments restricted to other regions')
+          .addStringOption(option =>
+            option.setName('regions').setDescription('Comma-separated regions or countries, e.g. "EU" or "BR, AR" ("none" to clear)').setRequired(true))),
+    new SlashCommandBuilder()
+      .setName('filters')
+      .setDescription('Include or exclude scanned topics by keyword or regex')
+      .addSubcommand(subcommand =>
+        subcommand.setName('list')
+          .setDescription('List filters and how many topics each suppressed'))
+      .addSubcommand(subcommand =>
+        subcommand.setName('add')
+          .setDescription('Add a filter')
+          .addStringOption(option =>
+            option.setName('type').setDescription('Exclude matching topics, or only draft matching topics').setRequired(true)
+              .addChoices({ name: 'Exclude', value: 'exclude' }, { name: 'Include', value: 'include' }))
+          .addStringOption(option =>
+            option.setName('pattern').setDescription('Keyword (case-insensitive) or regex').setRequired(true))
+          .addBooleanOption(option =>
+            option.setName('regex').setDescription('Treat the pattern as a regular expression').setRequired(false))
+          .addStringOption(option =>
+            option.setName('target').setDescription('What to match against (default: title)').setRequired(false)
+              .addChoices({ name: 'Title', value: 'title' }, { name: 'Forum post', value: 'body' }, { name: 'Title and post', value: 'both' })))
+      .addSubcommand(subcommand =>
+        subcommand.setName('remove')
+          .setDescription('Remove a filter')
+          .addIntegerOption(option =>
+            option.setName('id').setDescription('Filter number from /filters list').setRequired(true).setMinValue(1))),
+    new SlashCommandBuilder()
+      .setName('autoapprove')
+      .setDescription('Show or configure rules for publishing drafts without review')
+      .addBooleanOption(option =>
+        option.setName('enabled').setDescription('Turn auto-approval on or off').setRequired(false))
+      .addIntegerOption(option =>
+        option.setName('min_confidence').setDescription('Minimum parse confidence (0-100)').setRequired(false).setMinValue(0).setMaxValue(100))
+      .addStringOption(option =>
+        option.setName('require').setDescription('Fields that must be detected, e.g. "rank, format, mode, registration"').setRequired(false))
+      .addStringOption(option =>
+        option.setName('modes').setDescription('Modes to auto-approve, e.g. "osu, mania" ("all" for any)').setRequired(false))
+      .addIntegerOption(option =>
+        option.setName('max_pings').setDescription('Most roles an auto-approved announcement may ping').setRequired(false).setMinValue(0).setMaxValue(25))
+      .addStringOption(option =>
+        option.setName('include').setDescription('Title keywords, one of which is required (comma-separated, "none" to clear)').setRequired(false))
+      .addStringOption(option =>
+        option.setName('exclude').setDescription('Title keywords that block auto-approval (comma-separated, "none" to clear)').setRequired(false)),
+    new SlashCommandBuilder()
+      .setName('template')
+      .setDescription('Customize how announcements look')
+      .addSubcommand(subcommand =>
+        subcommand.setName('edit')
+          .setDescription('Edit the announcement template')
+          .addStringOption(option =>
+            option.setName('format').setDescription('Send announcements as an embed or plain text').setRequired(false)
+              .addChoices({ name: 'Embed', value: 'embed' }, { name: 'Plain text', value: 'text' })))
+      .addSubcommand(subcommand =>
+        subcommand.setName('preview')
+          .setDescription('Preview the template with the most recent approved tournament'))
+      .addSubcommand(subcommand =>
+        subcommand.setName('placeholders')
+          .setDescription('List the placeholders you can use'))
+      .addSubcommand(subcommand =>
+        subcommand.setName('reset')
+          .setDescription('Go back to the default announcement')),
+    new SlashCommandBuilder()
+      .setName('reminders')
+      .setDescription('Show or configure "registration closing soon" reminders')
+      .addIntegerOption(option =>
+        option.setName('hours')
+          .setDescription('Hours before registration closes to send a reminder (0 disables)')
+          .setRequired(false)
+          .setMinValue(0)
+          .setMaxValue(168)
+      )
   ].map(command => command.toJSON());
 
   const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN);
@@ -891,6 +5924,19 @@ client.on('ready', async () => {
     console.error('Error registering commands:', error);
   }
 
+  // Bring back the review buttons for drafts from before the restart
+  await restoreDrafts();
+  await refreshRolePanels();
+
+  // Keep linked osu! ranks fresh (only works with osu! API credentials)
+  if (process.env.OSU_CLIENT_ID && process.env.OSU_CLIENT_SECRET) {
+    refreshLinkedUsers();
+    rankRefreshTimer = setInterval(refreshLinkedUsers, 3600000);
+  }
+  draftExpiryTimer = setInterval(expireOldDrafts, 3600000);
+
+  startScanScheduler();
+
   console.log('\n💡 Tip: Use /scan for quick checks or /autoscan start for continuous monitoring');
 });
 
@@ -898,14 +5944,62 @@ client.on('ready', async () => {
 process.on('SIGINT', () => {
   console.log('\n⏹️ Shutting down...');
   
-  // Clear all auto-scan intervals
-  for (const [guildId, intervalId] of autoScanIntervals) {
-    clearInterval(intervalId);
-    console.log(`Stopped auto-scan for guild ${guildId}`);
-  }
+  // Stop the shared scan scheduler
+  if (scanTimer) clearInterval(scanTimer);
+  if (reminderTimer) clearInterval(reminderTimer);
+  if (queueTimer) clearInterval(queueTimer);
+  if (feedServer) feedServer.close();
+  if (draftExpiryTimer) clearInterval(draftExpiryTimer);
+  if (rankRefreshTimer) clearInterval(rankRefreshTimer);
   
   console.log('✅ Cleanup complete. Goodbye!');
   process.exit(0);
 });
 
-client.login(process.env.DISCORD_TOKEN);
\ No newline at end of file
+// Log in when run directly; tests require this file for its helpers
+if (require.main === module) {
+  client.login(process.env.DISCORD_TOKEN);
+}
+
+module.exports = {
+  serverConfigs,
+  draftData,
+  linkedUsers,
+  readStore,
+  getPublishQueue,
+  getProcessedEntry,
+  isTournamentProcessed,
+  markTournamentProcessed,
+  getTournamentId,
+  parseDateParts,
+  datePartsToIso,
+  parseRegistrationText,
+  parseRestriction,
+  formatRestriction,
+  parseGameMode,
+  getBucketsFromRoles,
+  getRankRolesToPing,
+  getRolesToPing,
+  fetchForumPages,
+  scrapeTournaments,
+  parseTournamentDetails,
+  matchAutoApproveRules,
+  createDraftEmbed,
+  isUserEligible,
+  refreshLinkedUsers,
+  fillTemplate,
+  renderAnnouncementTemplate,
+  isQuietTime,
+  skipQuietHours,
+  parseScheduleTime,
+  filterMatches,
+  checkTopicChanges,
+  handleScheduleModal,
+  parseRankNumber,
+  searchArchive,
+  isValidFeedToken,
+  handleFeedRequest,
+  createDiscordWebhookBody,
+  isPrivateAddress,
+  checkWebhookUrl
+};
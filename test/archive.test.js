@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { markTournamentProcessed, parseRankNumber, searchArchive } = require('../bot');
+
+const guildId = '1';
+
+// Record a published tournament the way publishing does
+function publish(id, data, publishedAt) {
+  const link = `https://osu.ppy.sh/community/forums/topics/${id}`;
+  markTournamentProcessed(guildId, link, 'approved', {
+    data: { name: `Cup ${id}`, link, mode: 'osu', teamSize: '1v1', rankRange: { min: 1, max: 1000000, isOpen: true }, ...data },
+    publishedAt
+  });
+}
+
+publish(1, { teamSize: '2v2', rankRange: { min: 1000, max: 9999, isOpen: false } }, '2026-10-01T00:00:00.000Z');
+publish(2, { mode: 'mania' }, '2026-10-02T00:00:00.000Z');
+publish(3, { cancelled: true }, '2026-10-03T00:00:00.000Z');
+
+test('reads ranks written with k, m, # and commas', () => {
+  assert.strictEqual(parseRankNumber('23k'), 23000);
+  assert.strictEqual(parseRankNumber('#1,200'), 1200);
+  assert.strictEqual(parseRankNumber('1.2m'), 1200000);
+  assert.strictEqual(parseRankNumber('top 50'), null);
+});
+
+test('searches published tournaments newest first', () => {
+  const names = filters => searchArchive(guildId, filters).map(entry => entry.data.name);
+  assert.deepStrictEqual(names({}), ['Cup 3', 'Cup 2', 'Cup 1']);
+  assert.deepStrictEqual(names({ mode: 'mania' }), ['Cup 2']);
+  assert.deepStrictEqual(names({ rank: '5k', format: '2v2' }), ['Cup 1']);
+  assert.deepStrictEqual(names({ rank: '50k' }), ['Cup 3', 'Cup 2']);
+  assert.deepStrictEqual(names({ status: 'cancelled' }), ['Cup 3']);
+});
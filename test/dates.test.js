@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseRegistrationText, parseDateParts, datePartsToIso } = require('../bot');
+
+test('reads a registration range with a UTC offset', () => {
+  const registration = parseRegistrationText('2027-01-05 to 2027-01-19 23:59 UTC+2');
+  assert.strictEqual(registration.opens, '2027-01-04T22:00:00.000Z');
+  assert.strictEqual(registration.closes, '2027-01-19T21:59:00.000Z');
+});
+
+test('closes a registration without a time at the end of the day', () => {
+  assert.strictEqual(parseRegistrationText('January 5 - January 19, 2027').closes, '2027-01-19T23:59:00.000Z');
+});
+
+test('reads day-first dates followed by a time', () => {
+  assert.deepStrictEqual(parseDateParts('3 November 23:59'), { year: null, month: 10, day: 3, hour: 23, minute: 59 });
+  assert.deepStrictEqual(parseDateParts('20 October 18:00'), { year: null, month: 9, day: 20, hour: 18, minute: 0 });
+});
+
+test('reads month-first dates with and without a time', () => {
+  assert.deepStrictEqual(parseDateParts('Jan 19 23:59'), { year: null, month: 0, day: 19, hour: 23, minute: 59 });
+  assert.deepStrictEqual(parseDateParts('January 19th, 2027'), { year: 2027, month: 0, day: 19, hour: null, minute: null });
+});
+
+test('reads a day-first registration range ending in a time', () => {
+  const registration = parseRegistrationText('5th January 2027 - 19th January 2027 12:00 UTC');
+  assert.strictEqual(registration.opens, '2027-01-05T00:00:00.000Z');
+  assert.strictEqual(registration.closes, '2027-01-19T12:00:00.000Z');
+});
+
+test('resolves a "since" date without a year to the most recent past date', () => {
+  for (const daysAgo of [1, 30, 200, 360]) {
+    const date = new Date(Date.now() - daysAgo * 86400000);
+    const parts = { year: null, month: date.getUTCMonth(), day: date.getUTCDate(), hour: null, minute: null };
+    const since = Date.parse(datePartsToIso(parts, 0, false, true));
+    assert.ok(since <= Date.now(), `${daysAgo} days ago resolved to the future`);
+    assert.ok(since > Date.now() - 366 * 86400000, `${daysAgo} days ago resolved more than a year back`);
+  }
+});
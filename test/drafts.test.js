@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  getBucketsFromRoles,
+  getRankRolesToPing,
+  fillTemplate,
+  renderAnnouncementTemplate,
+  getRolesToPing,
+  createDraftEmbed,
+  matchAutoApproveRules
+} = require('../bot');
+
+const roles = { '4digit': '111', '5digit': '222', 'openrank': '333' };
+const config = { roles, buckets: getBucketsFromRoles(roles) };
+
+const draft = {
+  name: 'Example Cup 2026',
+  link: 'https://osu.ppy.sh/community/forums/topics/1',
+  rankRange: { min: 5000, max: 50000, isOpen: false },
+  mode: 'osu'
+};
+
+test('pings every rank bucket the range overlaps', () => {
+  assert.deepStrictEqual(getRankRolesToPing(draft.rankRange, config, draft.mode), ['4digit', '5digit']);
+  assert.deepStrictEqual(getRankRolesToPing({ min: 1, max: 1000000, isOpen: true }, config, 'osu'), ['openrank']);
+  assert.deepStrictEqual(getRankRolesToPing(draft.rankRange, config, 'mania'), []);
+});
+
+test('uses a server\'s own bucket boundaries', () => {
+  const custom = {
+    roles: { top: '444', rest: '555' },
+    buckets: [
+      { key: 'top', name: 'Top 500', min: 1, max: 500 },
+      { key: 'rest', name: '501+', min: 501, max: null }
+    ]
+  };
+  assert.deepStrictEqual(getRankRolesToPing({ min: 100, max: 400, isOpen: false }, custom), ['top']);
+  assert.deepStrictEqual(getRankRolesToPing({ min: 400, max: 20000, isOpen: false }, custom), ['top', 'rest']);
+  assert.deepStrictEqual(getRankRolesToPing({ min: 600, max: 20000, isOpen: false }, custom), ['rest']);
+});
+
+test('leaves out template lines whose placeholders are all empty', () => {
+  const values = { name: 'Example Cup 2026', host: '' };
+  assert.strictEqual(fillTemplate('**{name}**\nHost: {host}\n{unknown}', values), '**Example Cup 2026**\n{unknown}');
+});
+
+test('renders a plain text announcement template', () => {
+  const template = { format: 'text', content: '{pings}', body: '**{name}** ({rank})\nHost: {host}\n{link}' };
+  const rendered = renderAnnouncementTemplate(template, draft, '<@&111>');
+  assert.strictEqual(rendered.embed, null);
+  assert.strictEqual(rendered.content, '<@&111>\n**Example Cup 2026** (5,000-50,000)\nhttps://osu.ppy.sh/community/forums/topics/1');
+});
+
+test('pings rank roles when no region is detected', () => {
+  assert.deepStrictEqual(getRolesToPing(draft, config).sort(), ['4digit', '5digit']);
+});
+
+test('builds a draft embed for a tournament without a region', () => {
+  const embed = createDraftEmbed(draft, config).toJSON();
+  assert.match(embed.description, /Example Cup 2026/);
+  assert.match(embed.description, /@4digit/);
+});
+
+test('never auto-approves a draft without a rank range', () => {
+  const autoConfig = { ...config, autoApprove: { enabled: true, minConfidence: 0, requiredFields: [] } };
+  const result = matchAutoApproveRules({ ...draft, rankRange: null, sources: {} }, autoConfig);
+  assert.strictEqual(result.matched, false);
+  assert.match(result.reason, /rank range/i);
+});
+
+test('explains why a matching draft was not auto-approved', () => {
+  const autoConfig = { ...config, autoApprove: { enabled: true, minConfidence: 0, requiredFields: [] } };
+  assert.strictEqual(matchAutoApproveRules(draft, autoConfig).matched, true);
+  assert.doesNotMatch(createDraftEmbed(draft, autoConfig).toJSON().description, /Not auto-approved/);
+
+  const skipped = { ...draft, autoApproveSkipped: 'First scans and backfills always go through review' };
+  assert.match(createDraftEmbed(skipped, autoConfig).toJSON().description, /Not auto-approved: First scans/);
+});
+
+test('does not auto-approve while an approval quorum is set', () => {
+  const quorumConfig = { ...config, approvalQuorum: 2, autoApprove: { enabled: true, minConfidence: 0, requiredFields: [] } };
+  const result = matchAutoApproveRules(draft, quorumConfig);
+  assert.strictEqual(result.matched, false);
+  assert.match(result.reason, /quorum/);
+});
+
+test('shows the tournament start on the draft', () => {
+  const embed = createDraftEmbed({ ...draft, startsAt: '2027-02-01T16:00:00.000Z', sources: { startsAt: 'manual' } }, config).toJSON();
+  assert.match(embed.description, /\*\*Starts:\*\* <t:1801497600:f> \*\(edited\)\*/);
+});
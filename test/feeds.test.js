@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { serverConfigs, markTournamentProcessed, handleFeedRequest, isValidFeedToken } = require('../bot');
+
+const guildId = '123456789';
+const link = 'https://osu.ppy.sh/community/forums/topics/1';
+serverConfigs.set(guildId, { guildId, roles: {}, feedToken: 'abc123' });
+markTournamentProcessed(guildId, link, 'approved', {
+  data: { name: 'Example Cup 2026', link, mode: 'osu', teamSize: '1v1', rankRange: { min: 5000, max: 50000, isOpen: false } },
+  publishedAt: '2026-10-01T00:00:00.000Z'
+});
+
+// Call the feed handler with a stand-in request and response
+function getFeed(url) {
+  const res = {
+    writeHead(status, headers) { Object.assign(this, { status, headers }); },
+    end(body) { this.body = body; }
+  };
+  handleFeedRequest({ method: 'GET', url }, res);
+  return res;
+}
+
+test('only serves a feed for the server\'s own token', () => {
+  assert.strictEqual(isValidFeedToken(serverConfigs.get(guildId), 'abc123'), true);
+  assert.strictEqual(isValidFeedToken(serverConfigs.get(guildId), 'abc12'), false);
+  assert.strictEqual(isValidFeedToken(undefined, 'abc123'), false);
+  assert.strictEqual(getFeed(`/feeds/${guildId}/abc124/tournaments.json`).status, 404);
+  assert.strictEqual(getFeed(`/feeds/987654321/abc123/tournaments.json`).status, 404);
+});
+
+test('lists published tournaments in the JSON and iCal feeds', () => {
+  const json = getFeed(`/feeds/${guildId}/abc123/tournaments.json`);
+  assert.strictEqual(json.status, 200);
+  const [tournament] = JSON.parse(json.body).tournaments;
+  assert.strictEqual(tournament.name, 'Example Cup 2026');
+  assert.strictEqual(tournament.rank, '5,000-50,000');
+
+  const ics = getFeed(`/feeds/${guildId}/abc123/tournaments.ics`);
+  assert.strictEqual(ics.headers['Content-Type'], 'text/calendar; charset=utf-8');
+  assert.match(ics.body, /^BEGIN:VCALENDAR/);
+});
@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { filterMatches } = require('../bot');
+
+test('matches a filter against the title, the first post or both', () => {
+  const filter = { pattern: 'showmatch', target: 'title', isRegex: false };
+  assert.strictEqual(filterMatches(filter, 'Example Showmatch 2026', ''), true);
+  assert.strictEqual(filterMatches(filter, 'Example Cup 2026', 'Final showmatch on Sunday'), false);
+  assert.strictEqual(filterMatches({ ...filter, target: 'body' }, 'Example Cup 2026', 'Final showmatch on Sunday'), true);
+  assert.strictEqual(filterMatches({ ...filter, target: 'both' }, 'Example Showmatch 2026', ''), true);
+});
+
+test('matches regex filters and treats an invalid one as no match', () => {
+  assert.strictEqual(filterMatches({ pattern: '\\b(mania|taiko)\\b', target: 'title', isRegex: true }, 'Example Mania Cup', ''), true);
+  assert.strictEqual(filterMatches({ pattern: '[unclosed', target: 'title', isRegex: true }, 'Example [unclosed Cup', ''), false);
+});
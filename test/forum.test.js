@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+// Local stand-in for osu.ppy.sh: OAuth, the API topic listing and the forum HTML page
+let apiDown = false;
+const server = http.createServer((req, res) => {
+  if (req.url === '/oauth/token') {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ access_token: 'token', expires_in: 3600 }));
+  } else if (req.url.startsWith('/api/v2/forums/topics')) {
+    res.statusCode = apiDown ? 403 : 200;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({
+      topics: [{ id: 101, title: 'Example Cup 2026', created_at: '2026-10-01T00:00:00Z', updated_at: '2026-10-02T00:00:00Z' }],
+      cursor_string: null
+    }));
+  } else if (req.url === '/community/forums/55') {
+    res.setHeader('Content-Type', 'text/html');
+    res.end(
+      '<div class="forum-topic-entry">' +
+      '<a class="forum-topic-entry__title" href="https://osu.ppy.sh/community/forums/topics/101?n=1#forum-post">Example Cup 2026</a>' +
+      '<time datetime="2026-10-01T00:00:00Z"></time><time datetime="2026-10-02T00:00:00Z"></time>' +
+      '</div>'
+    );
+  } else {
+    res.statusCode = 404;
+    res.end();
+  }
+});
+
+let bot;
+
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.OSU_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.FORUM_SOURCE = 'api';
+  process.env.OSU_CLIENT_ID = '1';
+  process.env.OSU_CLIENT_SECRET = 'secret';
+  bot = require('../bot');
+});
+
+test.after(() => server.close());
+
+test('lists topics from the osu! API and falls back to the forum page when it fails', async () => {
+  const [fromApi] = await bot.scrapeTournaments(20, 0);
+  assert.strictEqual(fromApi.title, 'Example Cup 2026');
+  assert.strictEqual(fromApi.link, `${process.env.OSU_BASE_URL}/community/forums/topics/101`);
+
+  apiDown = true;
+  const [fromHtml] = await bot.scrapeTournaments(20, 0);
+  assert.strictEqual(fromHtml.link, 'https://osu.ppy.sh/community/forums/topics/101?n=1#forum-post');
+  apiDown = false;
+});
+
+test('a topic handled from the API is recognised when the HTML scraper takes over', async () => {
+  const [fromApi] = await bot.fetchForumPages(1);
+  assert.strictEqual(fromApi.link, `${process.env.OSU_BASE_URL}/community/forums/topics/101`);
+  bot.markTournamentProcessed('guild', fromApi.link, 'approved');
+
+  apiDown = true;
+  const [fromHtml] = await bot.fetchForumPages(1);
+  assert.strictEqual(fromHtml.link, 'https://osu.ppy.sh/community/forums/topics/101?n=1#forum-post');
+  assert.strictEqual(bot.isTournamentProcessed('guild', fromHtml.link), true);
+  assert.strictEqual(bot.getTournamentId('guild', fromHtml.link), bot.getTournamentId('guild', fromApi.link));
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Local stand-in for the osu! API: one player with 20k rank and three tournament badges
+const server = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  res.setHeader('Content-Type', 'application/json');
+  if (pathname === '/oauth/token') {
+    res.end(JSON.stringify({ access_token: 'token', expires_in: 3600 }));
+  } else if (pathname === '/api/v2/users') {
+    res.end(JSON.stringify({ users: [{ id: 7, username: 'player', statistics_rulesets: { osu: { global_rank: 20000 } } }] }));
+  } else if (pathname === '/api/v2/users/7') {
+    res.end(JSON.stringify({
+      id: 7,
+      username: 'player',
+      badges: [
+        { description: 'Example Cup 2025 Winner' },
+        { description: 'Another Cup 2025 Winner' },
+        { description: 'Third Cup 2026 Winner' },
+        { description: 'Longstanding contribution to the osu! community' }
+      ]
+    }));
+  } else {
+    res.statusCode = 404;
+    res.end('{}');
+  }
+});
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tournament-bot-'));
+let bot;
+
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.OSU_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.OSU_CLIENT_ID = '1';
+  process.env.OSU_CLIENT_SECRET = 'secret';
+  process.env.DATA_DIR = dataDir;
+  bot = require('../bot');
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('refreshing linked profiles picks up new badges for BWS eligibility', async () => {
+  const user = { osuId: 7, username: 'player', ranks: { osu: 20000 }, badges: 0, updatedAt: '2026-01-01T00:00:00.000Z', modes: [] };
+  bot.linkedUsers.set('8', user);
+  const tournament = { mode: 'osu', bws: true, rankRange: { min: 5000, max: 15000, isOpen: false } };
+  assert.strictEqual(bot.isUserEligible(user, tournament), false);
+
+  await bot.refreshLinkedUsers();
+
+  assert.strictEqual(user.badges, 3);
+  assert.strictEqual(bot.isUserEligible(user, tournament), true);
+});
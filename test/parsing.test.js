@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseTournamentDetails, parseGameMode, parseRestriction, formatRestriction } = require('../bot');
+
+test('reads the rank range and team size from labelled post fields', () => {
+  const details = parseTournamentDetails('Example Cup 2026', 'Rank Range: #1,000 - #50,000\nTeam Size: 2-4');
+  assert.deepStrictEqual(details.rankRange, { min: 1000, max: 50000, isOpen: false });
+  assert.strictEqual(details.teamSize, 'TS4');
+  assert.strictEqual(details.sources.rankRange, 'post');
+  assert.strictEqual(details.sources.teamSize, 'post');
+});
+
+test('falls back to the title when the post has no labelled fields', () => {
+  const details = parseTournamentDetails('Example Cup 2026 [4 digit] 2v2', 'Welcome to the tournament!');
+  assert.deepStrictEqual(details.rankRange, { min: 1000, max: 9999, isOpen: false });
+  assert.strictEqual(details.teamSize, '2v2');
+  assert.strictEqual(details.sources.rankRange, 'title');
+  assert.strictEqual(details.sources.teamSize, 'title');
+});
+
+test('detects the game mode from the title', () => {
+  assert.strictEqual(parseGameMode('osu!mania 4K Cup'), 'mania');
+  assert.strictEqual(parseGameMode('[taiko] Drum Cup'), 'taiko');
+  assert.strictEqual(parseGameMode('Example Cup 2026'), null);
+});
+
+test('detects region and country restrictions in the title', () => {
+  assert.deepStrictEqual(parseRestriction('Example Cup 2026 [NA]'), { regions: ['NA'], countries: [], unspecified: false });
+  assert.deepStrictEqual(parseRestriction('Example Cup 2026 - Brazil only').countries, ['BR']);
+  assert.strictEqual(parseRestriction('Example Cup 2026 [4 digit]'), null);
+});
+
+test('reads "none" in a restriction field as explicitly unrestricted', () => {
+  assert.strictEqual(parseRestriction('None', 'field'), false);
+  assert.strictEqual(formatRestriction(parseRestriction('Europe', 'field')), 'Europe only');
+});
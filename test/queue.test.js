@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Scheduling saves the queue and drafts; keep those files out of the working copy
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tournament-bot-'));
+process.env.DATA_DIR = dataDir;
+const {
+  serverConfigs,
+  draftData,
+  getProcessedEntry,
+  markTournamentProcessed,
+  getPublishQueue,
+  isQuietTime,
+  skipQuietHours,
+  parseScheduleTime,
+  checkTopicChanges,
+  handleScheduleModal
+} = require('../bot');
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const publishing = { spacingMinutes: 0, quietStart: 22, quietEnd: 6, utcOffsetMinutes: 0 };
+
+test('recognises quiet hours that wrap past midnight', () => {
+  assert.strictEqual(isQuietTime(Date.UTC(2027, 0, 1, 23), publishing), true);
+  assert.strictEqual(isQuietTime(Date.UTC(2027, 0, 2, 5, 59), publishing), true);
+  assert.strictEqual(isQuietTime(Date.UTC(2027, 0, 2, 6), publishing), false);
+  assert.strictEqual(isQuietTime(Date.UTC(2027, 0, 1, 23), { ...publishing, utcOffsetMinutes: -120 }), false);
+});
+
+test('moves a publish time inside quiet hours to when they end', () => {
+  assert.strictEqual(skipQuietHours(Date.UTC(2027, 0, 1, 23, 30), publishing), Date.UTC(2027, 0, 2, 6));
+  assert.strictEqual(skipQuietHours(Date.UTC(2027, 0, 1, 12, 30), publishing), Date.UTC(2027, 0, 1, 12, 30));
+});
+
+test('reads relative, absolute and next-slot schedule times', () => {
+  assert.strictEqual(parseScheduleTime('next', 0), null);
+  assert.ok(Math.abs(parseScheduleTime('in 2h', 0) - (Date.now() + 7200000)) < 1000);
+  assert.strictEqual(parseScheduleTime('2027-01-19 18:00 UTC+2', 0), Date.UTC(2027, 0, 19, 16));
+  assert.ok(Number.isNaN(parseScheduleTime('whenever', 0)));
+});
+
+test('scheduling a draft with an edited name is not taken for a topic title change', async () => {
+  const guildId = '2';
+  const link = 'https://osu.ppy.sh/community/forums/topics/202';
+  const forumTitle = 'Example Cup 2026 [4 digit]';
+  serverConfigs.set(guildId, { guildId, roles: {}, buckets: [], draftChannelId: '3' });
+  markTournamentProcessed(guildId, link, 'drafted', { title: forumTitle });
+  draftData.set('202', {
+    guildId, link, name: 'Example Cup 2026', mode: 'osu', teamSize: '1v1',
+    rankRange: { min: 1000, max: 9999, isOpen: false }, sources: { rankRange: 'title' }
+  });
+
+  await handleScheduleModal({
+    customId: 'schedule_modal_202',
+    user: { id: '4', tag: 'reviewer' },
+    memberPermissions: { has: () => true },
+    fields: { getTextInputValue: () => 'in 2h' },
+    update: async () => {}
+  });
+  await checkTopicChanges(guildId, [{ title: forumTitle, link }]);
+
+  const entry = getProcessedEntry(guildId, link);
+  assert.strictEqual(entry.status, 'queued');
+  assert.strictEqual(entry.title, forumTitle);
+  assert.strictEqual(getPublishQueue(guildId).items[0].data.name, 'Example Cup 2026');
+});
+
+test('refuses to schedule a draft without a rank range', async () => {
+  const guildId = '5';
+  serverConfigs.set(guildId, { guildId, roles: {}, buckets: [], draftChannelId: '3' });
+  draftData.set('505', { guildId, link: 'https://osu.ppy.sh/community/forums/topics/505', name: 'Example Cup 2026', mode: 'osu', teamSize: '1v1', rankRange: null });
+
+  let reply = null;
+  await handleScheduleModal({
+    customId: 'schedule_modal_505',
+    user: { id: '4', tag: 'reviewer' },
+    memberPermissions: { has: () => true },
+    fields: { getTextInputValue: () => 'in 2h' },
+    reply: async message => { reply = message; }
+  });
+
+  assert.match(reply.content, /no rank range/);
+  assert.strictEqual(getPublishQueue(guildId).items.length, 0);
+  assert.ok(draftData.has('505'));
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Run in an empty directory: data files from before DATA_DIR are read from the working directory
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tournament-bot-'));
+const dataDir = path.join(workDir, 'data');
+const originalDir = process.cwd();
+process.chdir(workDir);
+process.env.DATA_DIR = dataDir;
+const { readStore } = require('../bot');
+
+test.after(() => {
+  process.chdir(originalDir);
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+// Read a file the way the bot stored it
+function readStored(file) {
+  return JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8'));
+}
+
+test('imports a data file from before DATA_DIR existed and upgrades it once', () => {
+  fs.writeFileSync('server_configs.json', JSON.stringify({ 1: { guildId: '1', roles: { '4digit': '111' } } }));
+
+  const configs = readStore('server_configs.json');
+  assert.deepStrictEqual(configs['1'].buckets.map(bucket => bucket.key), ['4digit']);
+  const stored = readStored('server_configs.json');
+  assert.strictEqual(stored.schemaVersion, 2);
+  assert.deepStrictEqual(stored.data, configs);
+
+  // Later reads use the stored copy, not the old file
+  fs.writeFileSync('server_configs.json', '{}');
+  assert.deepStrictEqual(readStore('server_configs.json'), configs);
+});
+
+test('recovers an unreadable file from its backup and migrates it before writing', () => {
+  const file = 'processed_tournaments.json';
+  const link = 'https://osu.ppy.sh/community/forums/topics/101';
+  fs.mkdirSync(dataDir, { recursive: true });
+  fs.writeFileSync(path.join(dataDir, `${file}.bak`), JSON.stringify({
+    schemaVersion: 1,
+    savedAt: '2026-10-01T00:00:00.000Z',
+    data: { 1: { [link]: { status: 'approved', updatedAt: '2026-10-01T00:00:00.000Z' } } }
+  }));
+  fs.writeFileSync(path.join(dataDir, file), '{ "schemaVersion": 2, "data": {');
+
+  const expected = { 1: { 101: { status: 'approved', updatedAt: '2026-10-01T00:00:00.000Z', link } } };
+  assert.deepStrictEqual(readStore(file), expected);
+  const stored = readStored(file);
+  assert.strictEqual(stored.schemaVersion, 2);
+  assert.deepStrictEqual(stored.data, expected);
+  assert.ok(fs.readdirSync(dataDir).some(name => name.startsWith(`${file}.corrupt-`)));
+
+  // Never replaced by a copy of the old data stamped with the new schema
+  assert.strictEqual(readStored(`${file}.bak`).schemaVersion, 1);
+});
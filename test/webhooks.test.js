@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDiscordWebhookBody, isPrivateAddress, checkWebhookUrl } = require('../bot');
+
+test('posts to Discord webhooks without pinging roles', () => {
+  const payload = { event: 'cancelled', announcement: { content: '<@&111> <@&222>\n**Example Cup 2026**', embed: null } };
+  const body = createDiscordWebhookBody(payload);
+  assert.strictEqual(body.content, '❌ **Cancelled**\n**Example Cup 2026**');
+  assert.deepStrictEqual(body.embeds, []);
+  assert.deepStrictEqual(body.allowed_mentions, { parse: [] });
+});
+
+test('flags loopback, private and link-local addresses', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe']) {
+    assert.strictEqual(isPrivateAddress(address), true, address);
+  }
+  for (const address of ['1.1.1.1', '162.159.128.233', '172.32.0.1', '2606:4700::1111']) {
+    assert.strictEqual(isPrivateAddress(address), false, address);
+  }
+});
+
+test('rejects webhook URLs that are not https or point into the local network', async () => {
+  assert.match(await checkWebhookUrl('http://example.com/hook'), /https/);
+  assert.match(await checkWebhookUrl('https://127.0.0.1/hook'), /private or local/);
+  assert.match(await checkWebhookUrl('https://169.254.169.254/latest/meta-data'), /private or local/);
+  assert.match(await checkWebhookUrl('https://[::ffff:127.0.0.1]/hook'), /private or local/);
+  assert.match(await checkWebhookUrl('https://localhost:8080/hook'), /private or local/);
+  assert.strictEqual(await checkWebhookUrl('https://1.1.1.1/hook'), null);
+});